@@ -2,6 +2,10 @@
 
 # Enhanced OpenScroll Build Script for Linux
 # Usage: ./build.sh [options]
+# Outputs:
+#   dist/openscroll.js       Script-tag build (globals + auto-initialization)
+#   dist/openscroll.umd.js   UMD build (CommonJS, AMD or globals)
+#   dist/esm/*.js            ES modules, one per plugin so bundlers can tree-shake them
 # Options:
 #   -m, --minify    Create minified version
 #   -h, --help      Show help message
@@ -12,10 +16,15 @@ set -e  # Exit on any error
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 DIST_DIR="$SCRIPT_DIR/dist"
 SRC_DIR="$SCRIPT_DIR/src"
-PLUGINS_DIR="$SCRIPT_DIR/plugins"
+PLUGINS_DIR="$SRC_DIR/plugins"
+ESM_DIR="$DIST_DIR/esm"
 OUTPUT_FILE="$DIST_DIR/openscroll.js"
+UMD_OUTPUT_FILE="$DIST_DIR/openscroll.umd.js"
 MIN_OUTPUT_FILE="$DIST_DIR/openscroll.min.js"
 
+# Touches the DOM when evaluated, so only the script-tag build includes it
+BROWSER_ONLY_FILE="$SRC_DIR/openscroll.autoinit.js"
+
 # Colors for output
 RED='\033[0;31m'
 GREEN='\033[0;32m'
@@ -98,6 +107,7 @@ check_uglifyjs() {
 # Function to add file header
 add_header() {
     local file="$1"
+    local description="$2"
     local timestamp=$(date '+%Y-%m-%d %H:%M:%S')
 
     cat > "$file" << EOF
@@ -106,48 +116,64 @@ add_header() {
  * Generated on: $timestamp
  * Build script: $(basename "$0")
  *
- * This file combines all source and plugin files into a single distribution.
+ * $description
  */
 
 EOF
 }
 
-# Function to process and combine files
-combine_files() {
+# Core files in load order: the core services first, then the plugin registry
+core_files() {
+    find "$SRC_DIR" -maxdepth 1 -name "*.js" -type f ! -path "$BROWSER_ONLY_FILE" | LC_ALL=C sort
+    echo "$PLUGINS_DIR/Plugins.js"
+}
+
+# Plugin files, each registering itself with the core
+plugin_files() {
+    find "$PLUGINS_DIR" -maxdepth 1 -name "openscroll.*.js" -type f | LC_ALL=C sort
+}
+
+# Names declared at the top level of the given files, used for the module exports
+top_level_names() {
+    cat "$@" | grep -oE '^(class|function|const|let) [A-Za-z_$][A-Za-z0-9_$]*' | awk '{print $2}' | paste -sd ',' - | sed 's/,/, /g'
+}
+
+# Function to append a file with a marker comment
+append_file() {
+    local output="$1"
+    local label="$2"
+    local file="$3"
+
+    echo "" >> "$output"
+    echo "// === $label: $(basename "$file") ===" >> "$output"
+    cat "$file" >> "$output"
+    echo "" >> "$output"
+}
+
+# Function to build the script-tag version
+build_global() {
     local output="$1"
     local file_count=0
+    local plugin_count=0
 
     print_status "Combining source files..."
 
-    # Process source files
-    if [ -d "$SRC_DIR" ]; then
-        while IFS= read -r -d '' file; do
-            echo "" >> "$output"
-            echo "// === Source: $(basename "$file") ===" >> "$output"
-            cat "$file" >> "$output"
-            echo "" >> "$output"
-            ((file_count++))
-        done < <(find "$SRC_DIR" -name "*.js" -type f -print0 | sort -z)
-        print_status "Added $file_count source files"
-    else
-        print_warning "Source directory '$SRC_DIR' not found"
-    fi
+    add_header "$output" "This file combines all source and plugin files into a single distribution."
 
-    # Process plugin files
-    local plugin_count=0
-    if [ -d "$PLUGINS_DIR" ]; then
-        for file in "$PLUGINS_DIR"/*.js; do
-            if [ -f "$file" ]; then
-                echo "" >> "$output"
-                echo "// === Plugin: $(basename "$file") ===" >> "$output"
-                cat "$file" >> "$output"
-                echo "" >> "$output"
-                ((plugin_count++))
-            fi
-        done
-        print_status "Added $plugin_count plugin files"
-    else
-        print_warning "Plugins directory '$PLUGINS_DIR' not found"
+    while IFS= read -r file; do
+        append_file "$output" "Source" "$file"
+        ((++file_count))
+    done < <(core_files)
+    print_status "Added $file_count source files"
+
+    while IFS= read -r file; do
+        append_file "$output" "Plugin" "$file"
+        ((++plugin_count))
+    done < <(plugin_files)
+    print_status "Added $plugin_count plugin files"
+
+    if [ -f "$BROWSER_ONLY_FILE" ]; then
+        append_file "$output" "Source" "$BROWSER_ONLY_FILE"
     fi
 
     local total_files=$((file_count + plugin_count))
@@ -159,6 +185,82 @@ combine_files() {
     print_success "Combined $total_files files total"
 }
 
+# Function to build the UMD version
+build_umd() {
+    local output="$1"
+    local files=($(core_files) $(plugin_files))
+
+    print_status "Building UMD bundle..."
+
+    add_header "$output" "UMD build for CommonJS, AMD or script-tag globals."
+
+    cat >> "$output" << 'EOF'
+(function (root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        define([], factory);
+    } else if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        const exports = factory();
+        Object.keys(exports).forEach(name => {
+            root[name] = exports[name];
+        });
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+EOF
+
+    for file in "${files[@]}"; do
+        append_file "$output" "Source" "$file"
+    done
+
+    echo "" >> "$output"
+    echo "return { $(top_level_names "${files[@]}") };" >> "$output"
+    echo "}));" >> "$output"
+
+    print_success "UMD bundle complete"
+}
+
+# Function to build one ES module per plugin plus the core and an index
+build_esm() {
+    local dir="$1"
+    local core=($(core_files))
+    local core_names="$(top_level_names "${core[@]}")"
+    local index="$dir/index.js"
+
+    print_status "Building ES modules..."
+
+    rm -rf "$dir"
+    mkdir -p "$dir"
+
+    # Node treats .js files as CommonJS unless told otherwise
+    echo '{ "type": "module" }' > "$dir/package.json"
+
+    add_header "$dir/openscroll.core.js" "ES module: OpenScroll core."
+    for file in "${core[@]}"; do
+        append_file "$dir/openscroll.core.js" "Source" "$file"
+    done
+    echo "" >> "$dir/openscroll.core.js"
+    echo "export { $core_names };" >> "$dir/openscroll.core.js"
+
+    add_header "$index" "ES module: OpenScroll core and every bundled plugin."
+    echo "export * from './openscroll.core.js';" >> "$index"
+
+    while IFS= read -r file; do
+        local name="$(basename "$file")"
+        local output="$dir/$name"
+
+        add_header "$output" "ES module: $name plugin."
+        echo "import { $core_names } from './openscroll.core.js';" >> "$output"
+        append_file "$output" "Plugin" "$file"
+        echo "" >> "$output"
+        echo "export { $(top_level_names "$file") };" >> "$output"
+
+        echo "export * from './$name';" >> "$index"
+    done < <(plugin_files)
+
+    print_success "ES modules written to $dir"
+}
+
 # Main execution
 print_status "Starting OpenScroll build process..."
 
@@ -168,21 +270,20 @@ if [ ! -d "$DIST_DIR" ]; then
     print_status "Created dist directory"
 fi
 
-# Remove existing output file
-if [ -f "$OUTPUT_FILE" ]; then
-    rm "$OUTPUT_FILE"
-fi
-
-# Add header to output file
-add_header "$OUTPUT_FILE"
+# Remove existing output files
+rm -f "$OUTPUT_FILE" "$UMD_OUTPUT_FILE"
 
-# Combine all files
-combine_files "$OUTPUT_FILE"
+# Build every format
+build_global "$OUTPUT_FILE"
+build_umd "$UMD_OUTPUT_FILE"
+build_esm "$ESM_DIR"
 
 # Display results
 print_success "Build complete!"
 echo "📄 Output file: $OUTPUT_FILE"
 echo "📊 File size: $(get_file_size "$OUTPUT_FILE")"
+echo "📄 UMD file: $UMD_OUTPUT_FILE"
+echo "📄 ES modules: $ESM_DIR"
 
 # Create minified version if requested
 if [ "$MINIFY" = true ]; then
@@ -6,13 +6,21 @@ REM Usage: build.bat [options]
 REM Options:
 REM   /m or /minify    Create minified version
 REM   /h or /help      Show help message
+REM Outputs:
+REM   dist\openscroll.js       Script-tag build (globals + auto-initialization)
+REM   dist\openscroll.umd.js   UMD build (CommonJS, AMD or globals)
+REM   dist\esm\*.js            ES modules, one per plugin so bundlers can tree-shake them
 
 REM Configuration
 set "SCRIPT_DIR=%~dp0"
 set "DIST_DIR=%SCRIPT_DIR%dist"
 set "SRC_DIR=%SCRIPT_DIR%src"
-set "PLUGINS_DIR=%SCRIPT_DIR%plugins"
+set "PLUGINS_DIR=%SRC_DIR%\plugins"
+set "ESM_DIR=%DIST_DIR%\esm"
 set "OUTPUT_FILE=%DIST_DIR%\openscroll.js"
+set "UMD_OUTPUT_FILE=%DIST_DIR%\openscroll.umd.js"
+REM Touches the DOM when evaluated, so only the script-tag build includes it
+set "BROWSER_ONLY_NAME=openscroll.autoinit.js"
 set "MIN_OUTPUT_FILE=%DIST_DIR%\openscroll.min.js"
 
 REM Parse command line arguments
@@ -58,19 +66,160 @@ if not exist "%DIST_DIR%" (
     echo [96m[INFO][0m Created dist directory
 )
 
-REM Remove existing output file
+REM Remove existing output files
 if exist "%OUTPUT_FILE%" del "%OUTPUT_FILE%"
+if exist "%UMD_OUTPUT_FILE%" del "%UMD_OUTPUT_FILE%"
 
 REM Add header to output file
-call :add_header "%OUTPUT_FILE%"
+call :add_header "%OUTPUT_FILE%" "This file combines all source and plugin files into a single distribution."
 
 REM Combine all files
-call :combine_files "%OUTPUT_FILE%"
+call :combine_files
+set "output_file=%~1"
+set "file_count=0"
+set "plugin_count=0"
+
+echo [96m[INFO][0m Combining source files...
+
+REM Process core files first, then the plugin registry
+if exist "%SRC_DIR%" (
+    for %%f in ("%SRC_DIR%\*.js") do (
+        if /i not "%%~nxf"=="%BROWSER_ONLY_NAME%" (
+            call :append_file "%output_file%" "Source" "%%f"
+            set /a file_count+=1
+        )
+    )
+    call :append_file "%output_file%" "Source" "%PLUGINS_DIR%\Plugins.js"
+    set /a file_count+=1
+    echo [96m[INFO][0m Added !file_count! source files
+) else (
+    echo [93m[WARNING][0m Source directory '%SRC_DIR%' not found
+)
+
+REM Process plugin files
+if exist "%PLUGINS_DIR%" (
+    for %%f in ("%PLUGINS_DIR%\openscroll.*.js") do (
+        call :append_file "%output_file%" "Plugin" "%%f"
+        set /a plugin_count+=1
+    )
+    echo [96m[INFO][0m Added !plugin_count! plugin files
+) else (
+    echo [93m[WARNING][0m Plugins directory '%PLUGINS_DIR%' not found
+)
+
+if exist "%SRC_DIR%\%BROWSER_ONLY_NAME%" (
+    call :append_file "%output_file%" "Source" "%SRC_DIR%\%BROWSER_ONLY_NAME%"
+)
+
+set /a total_files=file_count+plugin_count
+if !total_files! equ 0 (
+    echo [91m[ERROR][0m No JavaScript files found to combine!
+    exit /b 1
+)
+
+echo [92m[SUCCESS][0m Combined !total_files! files total
+exit /b 0
+
+:append_file
+echo. >> "%~1"
+echo // === %~2: %~nx3 === >> "%~1"
+type "%~3" >> "%~1"
+echo. >> "%~1"
+exit /b 0
+
+:collect_names
+REM Append the names declared at the top level of a file to NAMES
+for /f "tokens=2 delims=( " %%n in ('findstr /r /b /c:"class [A-Za-z_]" /c:"const [A-Za-z_]" /c:"function [A-Za-z_]" "%~1"') do (
+    if defined NAMES (set "NAMES=!NAMES!, %%n") else (set "NAMES=%%n")
+)
+exit /b 0
+
+:collect_core_names
+set "NAMES="
+for %%f in ("%SRC_DIR%\*.js") do (
+    if /i not "%%~nxf"=="%BROWSER_ONLY_NAME%" call :collect_names "%%f"
+)
+call :collect_names "%PLUGINS_DIR%\Plugins.js"
+set "CORE_NAMES=!NAMES!"
+exit /b 0
+
+:append_core
+for %%f in ("%SRC_DIR%\*.js") do (
+    if /i not "%%~nxf"=="%BROWSER_ONLY_NAME%" call :append_file "%~1" "Source" "%%f"
+)
+call :append_file "%~1" "Source" "%PLUGINS_DIR%\Plugins.js"
+exit /b 0
+
+:build_umd
+set "output_file=%~1"
+echo [96m[INFO][0m Building UMD bundle...
+
+call :add_header "%output_file%" "UMD build for CommonJS, AMD or script-tag globals."
+(
+    echo (function (root, factory^) {
+    echo     if (typeof define === 'function' ^&^& define.amd^) {
+    echo         define([], factory^);
+    echo     } else if (typeof module === 'object' ^&^& module.exports^) {
+    echo         module.exports = factory(^);
+    echo     } else {
+    echo         const exports = factory(^);
+    echo         Object.keys(exports^).forEach(name =^> {
+    echo             root[name] = exports[name];
+    echo         }^);
+    echo     }
+    echo }(typeof self ^^!== 'undefined' ? self : this, function (^) {
+) >> "%output_file%"
+
+call :append_core "%output_file%"
+call :collect_core_names
+for %%f in ("%PLUGINS_DIR%\openscroll.*.js") do (
+    call :append_file "%output_file%" "Source" "%%f"
+    call :collect_names "%%f"
+)
+
+echo. >> "%output_file%"
+echo return { !NAMES! }; >> "%output_file%"
+echo }^)^); >> "%output_file%"
+
+echo [92m[SUCCESS][0m UMD bundle complete
+exit /b 0
+
+:build_esm
+set "esm_dir=%~1"
+echo [96m[INFO][0m Building ES modules...
+
+if exist "%esm_dir%" rmdir /s /q "%esm_dir%"
+mkdir "%esm_dir%"
+
+REM Node treats .js files as CommonJS unless told otherwise
+echo { "type": "module" } > "%esm_dir%\package.json"
+
+call :collect_core_names
+call :add_header "%esm_dir%\openscroll.core.js" "ES module: OpenScroll core."
+call :append_core "%esm_dir%\openscroll.core.js"
+echo. >> "%esm_dir%\openscroll.core.js"
+echo export { !CORE_NAMES! }; >> "%esm_dir%\openscroll.core.js"
+
+call :add_header "%esm_dir%\index.js" "ES module: OpenScroll core and every bundled plugin."
+echo export * from './openscroll.core.js'; >> "%esm_dir%\index.js"
+
+for %%f in ("%PLUGINS_DIR%\openscroll.*.js") do (
+    set "NAMES="
+    call :collect_names "%%f"
+    call :add_header "%esm_dir%\%%~nxf" "ES module: %%~nxf plugin."
+    echo import { !CORE_NAMES! } from './openscroll.core.js'; >> "%esm_dir%\%%~nxf"
+    call :append_file "%esm_dir%\%%~nxf" "Plugin" "%%f"
+    echo. >> "%esm_dir%\%%~nxf"
+    echo export { !NAMES! }; >> "%esm_dir%\%%~nxf"
+    echo export * from './%%~nxf'; >> "%esm_dir%\index.js"
+)
+
+echo [92m[SUCCESS][0m ES modules written to %esm_dir%
+exit /b 0
 
-REM Display results
-echo [92m[SUCCESS][0m Build complete!
-echo 📄 Output file: %OUTPUT_FILE%
-call :get_file_size "%OUTPUT_FILE%"
+:get_file_size "%OUTPUT_FILE%"
+echo 📄 UMD file: %UMD_OUTPUT_FILE%
+echo 📄 ES modules: %ESM_DIR%
 
 REM Create minified version if requested
 if "%MINIFY%"=="true" (
@@ -105,7 +254,7 @@ for /f "tokens=1-2 delims=/:" %%a in ('time /t') do set "current_time=%%a:%%b"
     echo  * Generated on: %current_date% %current_time%
     echo  * Build script: %~nx0
     echo  *
-    echo  * This file combines all source and plugin files into a single distribution.
+    echo  * %~2
     echo  */
     echo.
 ) > "%output_file%"
@@ -0,0 +1,97 @@
+document.addEventListener('DOMContentLoaded', () => {
+    const openScroll = new OpenScroll();
+
+    // The page and the panel scroll independently
+    const page = openScroll.start('smoothscroller', { anchors: true }).instance;
+    const panel = openScroll.start('smoothscroller', { container: '.panel' }).instance;
+
+    const field = document.getElementById('field');
+    const farLink = document.getElementById('far-link');
+    const panelLink = document.getElementById('panel-8');
+
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+    const settle = () => wait(page.config.keyboardDuration + 300);
+
+    const press = (target, key, options = {}) => {
+        const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+        target.dispatchEvent(event);
+        return event.defaultPrevented;
+    };
+
+    const isVisible = (element, root) => {
+        const rect = element.getBoundingClientRect();
+        const area = root ? root.getBoundingClientRect() : { top: 0, bottom: window.innerHeight };
+        return rect.top >= area.top && rect.bottom <= area.bottom;
+    };
+
+    const blur = () => {
+        if (document.activeElement && document.activeElement !== document.body) {
+            document.activeElement.blur();
+        }
+    };
+
+    const checks = [
+        ['The scroll element has no aria-live', () => !document.querySelector('[aria-live]:not(#summary)')],
+        ['Space in a text field is left to the field', () => !press(field, ' ')],
+        ['Focus in the panel scrolls the panel, not the page', async () => {
+            const before = page.currentScroll;
+            panelLink.focus();
+            await settle();
+            return isVisible(panelLink, panel.container) && page.currentScroll === before;
+        }],
+        ['Focusing an off-screen link scrolls it into view', async () => {
+            farLink.focus();
+            await settle();
+            return isVisible(farLink);
+        }],
+        ['End scrolls to the bottom', async () => {
+            blur();
+            press(document.body, 'End');
+            await settle();
+            return Math.abs(page.currentScroll - page.getScrollLimit().y) < 1;
+        }],
+        ['Home scrolls to the top', async () => {
+            press(document.body, 'Home');
+            await settle();
+            return page.currentScroll < 1;
+        }],
+        ['Page Down scrolls by about a viewport', async () => {
+            press(document.body, 'PageDown');
+            await settle();
+            return page.currentScroll > window.innerHeight * 0.8 && page.currentScroll <= window.innerHeight;
+        }]
+    ];
+
+    const run = async () => {
+        const results = document.getElementById('results');
+        const summary = document.getElementById('summary');
+        results.innerHTML = '';
+        summary.textContent = 'Running...';
+
+        blur();
+        await page.scrollTo(0, { duration: 1, immediate: true });
+
+        let passed = 0;
+        for (const [name, check] of checks) {
+            let ok = false;
+            try {
+                ok = await check();
+            } catch (error) {
+                console.error(name, error);
+            }
+
+            passed += ok ? 1 : 0;
+            const item = document.createElement('li');
+            item.textContent = `${ok ? 'PASS' : 'FAIL'} ${name}`;
+            results.appendChild(item);
+        }
+
+        summary.textContent = `${passed} of ${checks.length} checks passed`;
+        console.log(summary.textContent);
+    };
+
+    document.getElementById('run').addEventListener('click', run);
+    if (new URLSearchParams(window.location.search).has('check')) {
+        run();
+    }
+});
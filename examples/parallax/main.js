@@ -2,7 +2,7 @@ document.addEventListener('DOMContentLoaded', (event) => {
     const openScroll = new OpenScroll();
     
     // Start parallax animation
-    const parallax = openScroll.start('Parallax');
+    const parallax = openScroll.start('parallax');
     
     // Check what's running
     console.log('Running openAnimations:', openScroll.getAllInstances());
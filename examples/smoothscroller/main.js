@@ -2,7 +2,7 @@ document.addEventListener('DOMContentLoaded', (event) => {
     const openScroll = new OpenScroll();
     
     // Start parallax animation
-    const smoothscroller = openScroll.start('SmoothScroller');
+    const smoothscroller = openScroll.start('smoothscroller');
     
     // Check what's running
     console.log('Running openAnimations:', openScroll.getAllInstances());
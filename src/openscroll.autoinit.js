@@ -0,0 +1,73 @@
+/**
+ * Auto-initialization for the script-tag build (dist/openscroll.js).
+ * Kept out of the core and plugin files so importing them never touches the DOM;
+ * the ESM and UMD builds leave this file out.
+ *
+ * Starts every data-openscroll declaration on OpenScroll.autoInstance once the DOM is ready.
+ * Pages starting their own core set OpenScroll.autoInstance to it beforehand, so the declarations
+ * (legacy [data-parallax] included) follow the same scroll position as the page's Smoothscroller.
+ * Opt out with <html data-openscroll-auto="false"> and call openScroll.autoInit() yourself.
+ */
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        if (document.documentElement.dataset.openscrollAuto === 'false') return;
+
+        try {
+            if (!OpenScroll.autoInstance) {
+                OpenScroll.autoInstance = new OpenScroll();
+            }
+            const openScroll = OpenScroll.autoInstance;
+            const handles = openScroll.autoInit(document);
+
+            // Pages written before data-openscroll existed only had [data-parallax] elements
+            const declaresParallax = handles.some(handle => handle.type === 'parallax')
+                || document.querySelector('[data-openscroll~="parallax"]');
+            if (!declaresParallax && document.querySelector('[data-parallax]')) {
+                openScroll.start('parallax', {
+                    containTransforms: true,
+                    maxTransform: 300,
+                    smoothing: 0.05
+                });
+            }
+
+            // data-reveal attributes work without a data-openscroll declaration
+            const declaresReveal = handles.some(handle => handle.type === 'reveal');
+            if (!declaresReveal && document.querySelector('[data-reveal], [data-reveal-group]')) {
+                openScroll.start('reveal');
+            }
+        } catch (error) {
+            console.error('Failed to auto-initialize OpenScroll:', error);
+        }
+    });
+}
+
+/**
+ * Deprecated globals from before the plugin registry, kept so existing pages keep working.
+ * Each warns once; use OpenScroll.start('parallax') / start('smoothscroller') or the Parallax and Smoothscroller classes.
+ */
+if (typeof window !== 'undefined') {
+    const deprecated = {
+        Parallax: typeof Parallax !== 'undefined' ? Parallax : null,
+        SmoothScroller: typeof Smoothscroller !== 'undefined' ? Smoothscroller : null
+    };
+
+    Object.entries(deprecated).forEach(([name, AnimationClass]) => {
+        if (!AnimationClass || name in window) return;
+
+        let warned = false;
+        Object.defineProperty(window, name, {
+            configurable: true,
+            get() {
+                if (!warned) {
+                    warned = true;
+                    console.warn(`OpenScroll: window.${name} is deprecated and will be removed, use ${AnimationClass.name} through OpenScroll.start() instead`);
+                }
+                return AnimationClass;
+            },
+            set(value) {
+                // Pages defining their own global take it over
+                Object.defineProperty(window, name, { configurable: true, writable: true, value });
+            }
+        });
+    });
+}
@@ -0,0 +1,141 @@
+/**
+ * Clock is where OpenScroll and its plugins get time, frames and timers from.
+ * Swap it for a ManualClock with openScroll.setClock() to step everything deterministically.
+ */
+class Clock {
+    /**
+     * Current time in ms
+     * @returns {number}
+     */
+    now() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
+
+    /**
+     * Schedule a callback for the next frame
+     * @param {Function} callback - Called with the frame timestamp
+     * @returns {number} - Id for cancelFrame()
+     */
+    requestFrame(callback) {
+        if (typeof requestAnimationFrame === 'function') {
+            return requestAnimationFrame(callback);
+        }
+
+        // No rendering outside the browser, approximate 60fps
+        return setTimeout(() => callback(this.now()), 1000 / 60);
+    }
+
+    /**
+     * Cancel a callback scheduled with requestFrame()
+     * @param {number} id - Id returned by requestFrame()
+     */
+    cancelFrame(id) {
+        if (typeof cancelAnimationFrame === 'function') {
+            cancelAnimationFrame(id);
+        } else {
+            clearTimeout(id);
+        }
+    }
+
+    /**
+     * Run a callback after a delay
+     * @param {Function} callback - The callback
+     * @param {number} [delay=0] - Delay in ms
+     * @returns {number} - Id for clearTimeout()
+     */
+    setTimeout(callback, delay = 0) {
+        return setTimeout(callback, delay);
+    }
+
+    /**
+     * Cancel a callback scheduled with setTimeout()
+     * @param {number} id - Id returned by setTimeout()
+     */
+    clearTimeout(id) {
+        clearTimeout(id);
+    }
+}
+
+/**
+ * ManualClock only moves when told to, for headless tests.
+ * tick(ms) advances the time, fires the timers that became due in order, then runs one frame.
+ */
+class ManualClock {
+    /**
+     * @param {number} [startTime=0] - Initial time in ms
+     */
+    constructor(startTime = 0) {
+        this.time = startTime;
+        this.frames = new Map();
+        this.timers = new Map();
+        this.nextId = 1;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    requestFrame(callback) {
+        const id = this.nextId++;
+        this.frames.set(id, callback);
+        return id;
+    }
+
+    cancelFrame(id) {
+        this.frames.delete(id);
+    }
+
+    setTimeout(callback, delay = 0) {
+        const id = this.nextId++;
+        this.timers.set(id, { callback, at: this.time + Math.max(0, delay) });
+        return id;
+    }
+
+    clearTimeout(id) {
+        this.timers.delete(id);
+    }
+
+    /**
+     * Advance the time and run one frame
+     * @param {number} [ms=1000/60] - Time to advance in ms
+     * @returns {number} - The new time
+     */
+    tick(ms = 1000 / 60) {
+        const end = this.time + ms;
+
+        // Fire due timers in chronological order, including timers they schedule themselves
+        let next = this._nextTimer(end);
+        while (next) {
+            const [id, timer] = next;
+            this.timers.delete(id);
+            this.time = timer.at;
+            timer.callback();
+            next = this._nextTimer(end);
+        }
+
+        this.time = end;
+
+        // Callbacks requested during this frame run on the next tick
+        const frames = Array.from(this.frames.values());
+        this.frames.clear();
+        frames.forEach(callback => callback(this.time));
+
+        return this.time;
+    }
+
+    /**
+     * Find the earliest timer due before a given time
+     * @private
+     * @param {number} end - Latest due time
+     * @returns {Array|null} - [id, timer] or null
+     */
+    _nextTimer(end) {
+        let next = null;
+        this.timers.forEach((timer, id) => {
+            if (timer.at <= end && (!next || timer.at < next[1].at)) {
+                next = [id, timer];
+            }
+        });
+        return next;
+    }
+}
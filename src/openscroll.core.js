@@ -4,104 +4,657 @@
 
 class OpenScroll {
     constructor() {
-        // Use to track the different instance
+        // Use to track the different instance, keyed by instance id
         this.instances = new Map();
+        this.counter = 0;
+
+        // Shared time, frame loop and scroll position for every plugin started by this instance
+        this.clock = new Clock();
+        this.ticker = new Ticker(this.clock);
+        this.scroll = new ScrollDriver(this.ticker);
+
+        // Reduced motion, print and data saving, watched while plugins run
+        this.environment = new Environment();
+        this.offEnvironment = null;
+        this._applyEnvironment = this._applyEnvironment.bind(this);
+
+        // Named scroll ranges for progress(), name -> { element, start, end }
+        this.sections = new Map();
+
+        // Lifecycle, scroll and error events of the core and its plugins
+        this.events = new EventBus();
+        this.unsubscribeScroll = null;
+        this._emitScroll = this._emitScroll.bind(this);
+    }
+
+    /**
+     * Replace the source of time, frames and timers used by the core and its plugins
+     * Set it before starting plugins, timers already scheduled stay on the previous clock.
+     * @param {Clock|ManualClock} [clock] - The clock, a real one when omitted
+     * @returns {Clock|ManualClock} - The clock now in use
+     */
+    setClock(clock = new Clock()) {
+        const methods = ['now', 'requestFrame', 'cancelFrame', 'setTimeout', 'clearTimeout'];
+        const missing = methods.filter(method => typeof clock[method] !== 'function');
+        if (missing.length > 0) {
+            throw new Error(`Clock is missing ${missing.join(', ')}`);
+        }
+
+        this.clock = clock;
+        this.ticker.setClock(clock);
+        return clock;
+    }
+
+    /**
+     * Advance a manual clock and run one frame
+     * @param {number} [ms] - Time to advance in ms, one 60fps frame by default
+     * @returns {number} - The new time
+     */
+    tick(ms) {
+        if (typeof this.clock.tick !== 'function') {
+            throw new Error('tick() needs a manual clock, call setClock(new ManualClock()) first');
+        }
+        return this.clock.tick(ms);
+    }
+
+    /**
+     * Name the scroll range of an element so its progress can be asked by name
+     * @param {string} name - Section name
+     * @param {HTMLElement|string} element - Element or selector
+     * @param {Object} [options] - Range, see ScrollPositions
+     * @param {string} [options.start='top bottom'] - Where the section starts
+     * @param {string} [options.end='bottom top'] - Where the section ends
+     */
+    section(name, element, options = {}) {
+        this.sections.set(name, {
+            element,
+            start: options.start ?? 'top bottom',
+            end: options.end ?? 'bottom top'
+        });
+    }
+
+    /**
+     * Forget a named section
+     * @param {string} name - Section name
+     */
+    removeSection(name) {
+        this.sections.delete(name);
+    }
+
+    /**
+     * How far the scroll position is through the page, an element or a named section
+     * Sections can also be declared with data-openscroll-section="name". Uses the smoothed position under Smoothscroller.
+     * @param {string|HTMLElement} [target='document'] - 'document', a section name, a selector or an element
+     * @param {Object} [options] - Range for elements, see section()
+     * @returns {{progress: number, pixels: number, total: number, start: number, end: number}|null} - null if the target is not found
+     */
+    progress(target = 'document', options = {}) {
+        const y = this.scroll.read().y;
+
+        if (target === 'document') {
+            const end = this.scroll.getLimit().y;
+            const pixels = Math.min(Math.max(y, 0), end);
+            return { progress: end > 0 ? pixels / end : 1, pixels, total: end, start: 0, end };
+        }
+
+        let range = { start: options.start ?? 'top bottom', end: options.end ?? 'bottom top' };
+        let element = target;
+
+        if (typeof target === 'string') {
+            const section = this.sections.get(target);
+            if (section) {
+                range = section;
+                element = section.element;
+            } else {
+                const name = typeof CSS !== 'undefined' && CSS.escape ? CSS.escape(target) : target.replace(/["\\]/g, '\\$&');
+                element = document.querySelector(`[data-openscroll-section="${name}"]`)
+                    || this._query(target);
+            }
+        }
+        if (typeof element === 'string') {
+            element = this._query(element);
+        }
+
+        if (!element) return null;
+
+        const rect = element.getBoundingClientRect();
+        const { start, end } = ScrollPositions.range(range.start, range.end, {
+            top: rect.top + y,
+            height: rect.height,
+            viewport: window.innerHeight
+        });
+        const total = end - start;
+        const pixels = Math.min(Math.max(y - start, 0), total);
+
+        return { progress: pixels / total, pixels, total, start, end };
+    }
+
+    /**
+     * querySelector that treats an invalid selector as not found
+     * @private
+     * @param {string} selector - CSS selector
+     * @returns {HTMLElement|null}
+     */
+    _query(selector) {
+        try {
+            return document.querySelector(selector);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Tween targets on this instance's frame loop, playing right away unless vars.paused is set
+     * @param {*} targets - Element, selector, list of elements or plain objects
+     * @param {Object} vars - End values plus tween options (duration, ease, delay, stagger, repeat, yoyo, from...)
+     * @returns {Tween} - The tween
+     */
+    tween(targets, vars = {}) {
+        const tween = new Tween(targets, vars, this);
+        if (!vars.paused) {
+            tween.play();
+        }
+        return tween;
+    }
+
+    /**
+     * Create a timeline on this instance's frame loop, playing right away unless vars.paused is set
+     * @param {Object} [vars] - Timeline options (repeat, yoyo, delay, defaults, callbacks...)
+     * @returns {Timeline} - The timeline
+     */
+    timeline(vars = {}) {
+        const timeline = new Timeline(vars, this);
+        if (!vars.paused) {
+            timeline.play();
+        }
+        return timeline;
+    }
+
+    /**
+     * Listen to an event
+     * @param {string} event - Event name, or '*' for every event
+     * @param {Function} callback - Called with the event payload
+     * @returns {Function} - Call to remove the listener
+     */
+    on(event, callback) {
+        this.events.on(event, callback);
+        this._syncScrollEvents();
+        return () => this.off(event, callback);
+    }
+
+    /**
+     * Listen to the next occurrence of an event only
+     * @param {string} event - Event name, or '*' for every event
+     * @param {Function} callback - Called with the event payload
+     * @returns {Function} - Call to remove the listener before it fired
+     */
+    once(event, callback) {
+        const off = this.events.once(event, callback);
+        this._syncScrollEvents();
+        return () => {
+            off();
+            this._syncScrollEvents();
+        };
+    }
+
+    /**
+     * Remove a listener, or every listener of an event when no callback is given
+     * @param {string} event - Event name
+     * @param {Function} [callback] - The listener to remove
+     */
+    off(event, callback) {
+        this.events.off(event, callback);
+        this._syncScrollEvents();
+    }
+
+    /**
+     * Emit an event to every listener
+     * @param {string} event - Event name
+     * @param {*} [payload] - Data passed to the listeners
+     */
+    emit(event, payload) {
+        this.events.emit(event, payload);
+    }
+
+    /**
+     * Only sample the scroll position for 'scroll' events while someone listens to them
+     * @private
+     */
+    _syncScrollEvents() {
+        const wanted = this.events.has('scroll') || this.events.has('*');
+
+        if (wanted && !this.unsubscribeScroll) {
+            this.unsubscribeScroll = this.scroll.subscribe(this._emitScroll);
+        } else if (!wanted && this.unsubscribeScroll) {
+            this.unsubscribeScroll();
+            this.unsubscribeScroll = null;
+        }
+    }
+
+    /**
+     * Forward scroll driver updates to the event bus
+     * @private
+     * @param {Object} state - Scroll state from the driver
+     */
+    _emitScroll(state) {
+        this.emit('scroll', state);
+
+        // once() listeners may be gone now
+        this._syncScrollEvents();
+    }
+
+    /**
+     * Only watch the environment while plugins run
+     * @private
+     */
+    _syncEnvironment() {
+        const wanted = this.instances.size > 0;
+
+        if (wanted && !this.offEnvironment) {
+            this.offEnvironment = this.environment.subscribe(this._applyEnvironment);
+        } else if (!wanted && this.offEnvironment) {
+            this.offEnvironment();
+            this.offEnvironment = null;
+        }
+    }
+
+    /**
+     * Switch every running plugin to the new mode
+     * @private
+     * @param {Object} state - Environment state
+     * @param {Object} previous - State before the change
+     */
+    _applyEnvironment(state, previous) {
+        if (state.mode !== previous.mode) {
+            Array.from(this.instances.values()).forEach(handle => this._applyMode(handle, state.mode));
+        }
+        this.emit('environment', { ...state, previous: previous.mode });
+    }
+
+    /**
+     * Hand a mode to a plugin
+     * @private
+     * @param {Object} handle - The instance handle
+     * @param {string} mode - 'full', 'reduced' or 'disabled'
+     */
+    _applyMode(handle, mode) {
+        const { instance } = handle;
+
+        try {
+            if (typeof instance.setMode === 'function') {
+                instance.setMode(mode);
+            } else if (mode === 'disabled' && !handle.environmentPaused && typeof instance.pause === 'function') {
+                // Plugins that know nothing about modes stop while the page is static
+                const wasPaused = typeof instance.isPaused === 'function' && instance.isPaused();
+                if (!wasPaused) {
+                    instance.pause();
+                    handle.environmentPaused = true;
+                }
+            } else if (mode !== 'disabled' && handle.environmentPaused) {
+                handle.environmentPaused = false;
+                instance.resume();
+            }
+        } catch (error) {
+            console.error(`Failed to switch ${handle.id} to ${mode}:`, error);
+            this.emit('error', { message: `Failed to switch ${handle.id} to ${mode}`, error, plugin: handle.type });
+        }
+    }
+
+    /**
+     * Shared plugin registry, created on first use so plugin files can be loaded in any order after the core
+     * @returns {Plugins} - The registry
+     */
+    static get plugins() {
+        if (!OpenScroll._plugins) {
+            OpenScroll._plugins = new Plugins();
+        }
+        return OpenScroll._plugins;
+    }
+
+    /**
+     * Register a plugin so it can be started by name
+     * @param {string} name - Stable plugin name, e.g. 'parallax'
+     * @param {Function} PluginClass - The plugin constructor
+     * @param {Object} [meta] - Plugin metadata (version, description, aliases)
+     * @returns {Object} - The registry entry
+     */
+    static register(name, PluginClass, meta = {}) {
+        return OpenScroll.plugins.register(name, PluginClass, meta);
+    }
+
+    /**
+     * Add an alternative name for a registered plugin
+     * @param {string} alias - The alternative name
+     * @param {string} name - Name of the registered plugin
+     */
+    static alias(alias, name) {
+        OpenScroll.plugins.alias(alias, name);
+    }
+
+    /**
+     * Get the registry entry of a plugin
+     * @param {string|Function} nameOrClass - Plugin name, alias or constructor
+     * @returns {Object|null} - The registry entry or null if not found
+     */
+    static getPlugin(nameOrClass) {
+        return OpenScroll.plugins.get(nameOrClass);
+    }
+
+    /**
+     * List all registered plugins with their metadata
+     * @returns {Object[]} - Registry entries
+     */
+    static listPlugins() {
+        return OpenScroll.plugins.list();
     }
 
     /**
      * Starts an animation class
-     * @param {Function|string} AnimationClass - Either a class constructor or class name string
+     * @param {Function|string} AnimationClass - Either a registered plugin name or a class constructor
      * @param {Object} options - Options to pass to the animation constructor
-     * @returns {Object} - The instantiated animation object
+     * @param {string} [name] - Optional unique name to find this instance again
+     * @returns {Object} - The instance handle ({ id, name, type, instance })
      */
-    start(AnimationClass, options = {}) {
+    start(AnimationClass, options = {}, name = null) {
         try {
             let AnimationConstructor;
+            let type;
 
-            // Resolve class from string if necessary
+            // Resolve class from the registry if necessary
             if (typeof AnimationClass === 'string') {
-                AnimationConstructor = window[AnimationClass];
-                if (typeof AnimationConstructor !== 'function') {
-                    throw new Error(`Class ${AnimationClass} not found in global scope`);
+                const entry = OpenScroll.getPlugin(AnimationClass);
+                if (!entry) {
+                    throw new Error(`Plugin ${AnimationClass} is not registered`);
                 }
+                AnimationConstructor = entry.constructor;
+                type = entry.name;
             } else if (typeof AnimationClass === 'function') {
+                const entry = OpenScroll.getPlugin(AnimationClass);
                 AnimationConstructor = AnimationClass;
+                type = entry ? entry.name : (AnimationClass.name || 'UnknownAnimation');
             } else {
                 throw new Error('AnimationClass must be a string or constructor function');
             }
 
-            // Create instance with merged options
-            const instance = new AnimationConstructor(options);
+            if (name !== null && this._findByName(name)) {
+                throw new Error(`An instance named ${name} is already running`);
+            }
+
+            // Create instance with merged options, plugins get the core to reach the ticker and scroll driver
+            const instance = new AnimationConstructor(options, this);
 
             // Store the instance for later reference
-            const className = AnimationConstructor.name || 'UnknownAnimation';
-            this.instances.set(className, instance);
+            const id = `${type}-${++this.counter}`;
+            const handle = {
+                id,
+                name: name ?? id,
+                type,
+                instance
+            };
+            this.instances.set(id, handle);
+            this._syncEnvironment();
+
+            // Plugins read the mode when they start; those without setMode() are paused while it is disabled
+            this._applyMode(handle, this.environment.mode);
 
-            return instance;
+            this.emit('plugin:start', handle);
+
+            return handle;
         } catch (error) {
             console.error('Failed to start animation:', error);
+            this.emit('error', { message: 'Failed to start animation', error, plugin: AnimationClass });
             throw error;
         }
     }
 
     /**
-     * Get a previously instantiated animation by class name
-     * @param {string} className - Name of the animation class
-     * @returns {Object|null} - The animation instance or null if not found
+     * Start every plugin declared with data attributes under root
+     * e.g. <div data-openscroll="parallax" data-openscroll-options='{"speed": 0.3}' data-openscroll-name="hero">
+     * Several plugin names can be listed separated by spaces. Each plugin receives the element as options.element.
+     * Elements are marked with data-openscroll-started, so calling this again only starts new declarations.
+     * @param {Document|HTMLElement} [root=document] - Where to look for declarations
+     * @returns {Object[]} - Handles of the started instances
      */
-    getInstance(className) {
-        return this.instances.get(className) || null;
+    autoInit(root = document) {
+        const elements = Array.from(root.querySelectorAll('[data-openscroll]'));
+        if (root.matches && root.matches('[data-openscroll]')) {
+            elements.unshift(root);
+        }
+
+        const handles = [];
+
+        elements.forEach(element => {
+            const names = element.dataset.openscroll.split(/\s+/).filter(Boolean);
+            const started = (element.dataset.openscrollStarted || '').split(/\s+/).filter(Boolean);
+
+            let options = {};
+            try {
+                options = element.dataset.openscrollOptions ? JSON.parse(element.dataset.openscrollOptions) : {};
+            } catch (error) {
+                console.error('Invalid data-openscroll-options:', error);
+                this.emit('error', { message: 'Invalid data-openscroll-options', error, element });
+                return;
+            }
+
+            names.forEach(name => {
+                const entry = OpenScroll.getPlugin(name);
+                const type = entry ? entry.name : name;
+                if (started.includes(type)) return;
+
+                try {
+                    // A user-supplied name only makes sense with a single plugin
+                    const instanceName = names.length === 1 ? (element.dataset.openscrollName ?? null) : null;
+                    const handle = this.start(name, { ...options, element }, instanceName);
+                    handle.element = element;
+                    started.push(type);
+                    handles.push(handle);
+                } catch (error) {
+                    // start() already logged and emitted the error, keep going with the other declarations
+                }
+            });
+
+            element.dataset.openscrollStarted = started.join(' ');
+        });
+
+        return handles;
     }
 
     /**
-     * Stop and remove an animation instance
-     * @param {string} className - Name of the animation class to stop
-     * @returns {boolean} - True if successfully stopped, false if not found
+     * Find a handle by its user-supplied name
+     * @private
+     * @param {string} name - Instance name
+     * @returns {Object|null} - The handle or null if not found
      */
-    stop(className) {
-        const instance = this.instances.get(className);
-        if (instance) {
-            if (typeof instance.stop === 'function') {
-                instance.stop();
+    _findByName(name) {
+        for (const handle of this.instances.values()) {
+            if (handle.name === name) {
+                return handle;
             }
-            if (typeof instance.destroy === 'function') {
-                instance.destroy();
-            }
-            this.instances.delete(className);
-            return true;
         }
-        return false;
+        return null;
+    }
+
+    /**
+     * Resolve the handles matching an id, a name, a handle or a plugin name
+     * A plugin name matches every instance of that plugin.
+     * @private
+     * @param {string|Object} key - Instance id, instance name, handle or plugin name
+     * @returns {Object[]} - Matching handles
+     */
+    _resolve(key) {
+        if (key && typeof key === 'object') {
+            return this.instances.get(key.id) === key ? [key] : [];
+        }
+
+        if (this.instances.has(key)) {
+            return [this.instances.get(key)];
+        }
+
+        const named = this._findByName(key);
+        if (named) {
+            return [named];
+        }
+
+        const entry = OpenScroll.getPlugin(key);
+        const type = entry ? entry.name : key;
+        return Array.from(this.instances.values()).filter(handle => handle.type === type);
+    }
+
+    /**
+     * Get a previously instantiated animation
+     * @param {string|Object} key - Instance id, instance name, handle or plugin name (first instance of that plugin)
+     * @returns {Object|null} - The animation instance or null if not found
+     */
+    getInstance(key) {
+        const [handle] = this._resolve(key);
+        return handle ? handle.instance : null;
+    }
+
+    /**
+     * Stop and remove animation instances
+     * @param {string|Object} key - Instance id, instance name, handle or plugin name (stops every instance of that plugin)
+     * @returns {boolean} - True if successfully stopped, false if not found
+     */
+    stop(key) {
+        const handles = this._resolve(key);
+        handles.forEach(handle => this._teardown(handle));
+        return handles.length > 0;
     }
 
     /**
      * Stop all running animations
      */
     stopAll() {
-        for (const [className, instance] of this.instances) {
-            if (typeof instance.stop === 'function') {
-                instance.stop();
-            }
-            if (typeof instance.destroy === 'function') {
-                instance.destroy();
-            }
+        Array.from(this.instances.values()).forEach(handle => this._teardown(handle));
+    }
+
+    /**
+     * Stop, destroy and forget an instance
+     * @private
+     * @param {Object} handle - The instance handle
+     */
+    _teardown(handle) {
+        const { instance } = handle;
+        if (typeof instance.stop === 'function') {
+            instance.stop();
+        }
+        this.emit('plugin:stop', handle);
+
+        if (typeof instance.destroy === 'function') {
+            instance.destroy();
         }
-        this.instances.clear();
+        this.instances.delete(handle.id);
+        this._syncEnvironment();
+
+        // Let autoInit() start this declaration again later
+        if (handle.element && handle.element.dataset.openscrollStarted) {
+            handle.element.dataset.openscrollStarted = handle.element.dataset.openscrollStarted
+                .split(/\s+/)
+                .filter(type => type !== handle.type)
+                .join(' ');
+        }
+
+        this.emit('plugin:destroy', handle);
     }
 
     /**
-     * Get all active animation instances
-     * @returns {Map} - Map of all active instances
+     * Get all active animation instances grouped by plugin type
+     * @returns {Map<string, Object[]>} - Plugin name mapped to its instance handles
      */
     getAllInstances() {
-        return new Map(this.instances);
+        const groups = new Map();
+        for (const handle of this.instances.values()) {
+            if (!groups.has(handle.type)) {
+                groups.set(handle.type, []);
+            }
+            groups.get(handle.type).push(handle);
+        }
+        return groups;
     }
 
     /**
      * Check if an animation is currently running
-     * @param {string} className - Name of the animation class
+     * @param {string|Object} key - Instance id, instance name, handle or plugin name
      * @returns {boolean} - True if running, false otherwise
      */
-    isRunning(className) {
-        return this.instances.has(className);
+    isRunning(key) {
+        return this._resolve(key).length > 0;
+    }
+
+    /**
+     * Call a lifecycle method on the matching instances
+     * @private
+     * @param {Object[]} handles - Instance handles
+     * @param {string} method - Lifecycle method name (pause, resume, refresh)
+     * @returns {boolean} - True if at least one instance was found
+     */
+    _lifecycle(handles, method) {
+        handles.forEach(handle => {
+            if (typeof handle.instance[method] === 'function') {
+                handle.instance[method]();
+                this.emit(`plugin:${method}`, handle);
+            }
+        });
+        return handles.length > 0;
+    }
+
+    /**
+     * Temporarily freeze animation instances, keeping their DOM and state
+     * @param {string|Object} key - Instance id, instance name, handle or plugin name
+     * @returns {boolean} - True if found, false otherwise
+     */
+    pause(key) {
+        return this._lifecycle(this._resolve(key), 'pause');
+    }
+
+    /**
+     * Continue animation instances after pause()
+     * @param {string|Object} key - Instance id, instance name, handle or plugin name
+     * @returns {boolean} - True if found, false otherwise
+     */
+    resume(key) {
+        return this._lifecycle(this._resolve(key), 'resume');
+    }
+
+    /**
+     * Make animation instances measure the layout again
+     * @param {string|Object} key - Instance id, instance name, handle or plugin name
+     * @returns {boolean} - True if found, false otherwise
+     */
+    refresh(key) {
+        return this._lifecycle(this._resolve(key), 'refresh');
+    }
+
+    /**
+     * Pause all running animations
+     */
+    pauseAll() {
+        this._lifecycle(Array.from(this.instances.values()), 'pause');
+    }
+
+    /**
+     * Resume all paused animations
+     */
+    resumeAll() {
+        this._lifecycle(Array.from(this.instances.values()), 'resume');
+    }
+
+    /**
+     * Refresh all running animations
+     */
+    refreshAll() {
+        this._lifecycle(Array.from(this.instances.values()), 'refresh');
+    }
+
+    /**
+     * Check if animation instances are paused
+     * @param {string|Object} key - Instance id, instance name, handle or plugin name
+     * @returns {boolean} - True if every matching instance is paused
+     */
+    isPaused(key) {
+        const handles = this._resolve(key);
+        return handles.length > 0 && handles.every(handle =>
+            typeof handle.instance.isPaused === 'function' && handle.instance.isPaused()
+        );
     }
 }
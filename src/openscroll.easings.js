@@ -0,0 +1,250 @@
+/**
+ * Easings is the easing library shared by tweens, timelines and every plugin, so an easing name means the same
+ * everywhere. Besides the named easings it understands 'cubic-bezier(x1, y1, x2, y2)', 'steps(n[, start|end])'
+ * and 'spring(mass, stiffness, damping, velocity)'.
+ */
+class Easings {
+    /**
+     * Named easings available by default
+     * @returns {Object<string, Function>}
+     */
+    static get defaults() {
+        return {
+            linear: t => t,
+            easeInQuad: t => t * t,
+            easeOutQuad: t => t * (2 - t),
+            easeInOutQuad: t => t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t,
+            easeInCubic: t => t * t * t,
+            easeOutCubic: t => (--t) * t * t + 1,
+            easeInOutCubic: t => t < 0.5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1,
+            easeInQuart: t => t * t * t * t,
+            easeOutQuart: t => 1 - (--t) * t * t * t,
+            easeInOutQuart: t => t < 0.5 ? 8 * t * t * t * t : 1 - 8 * (--t) * t * t * t,
+            easeInQuint: t => t * t * t * t * t,
+            easeOutQuint: t => 1 + (--t) * t * t * t * t,
+            easeInOutQuint: t => t < 0.5 ? 16 * t * t * t * t * t : 1 + 16 * (--t) * t * t * t * t,
+            easeOutBack: t => {
+                const c1 = 1.70158;
+                const c3 = c1 + 1;
+                return 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
+            },
+            easeOutElastic: t => {
+                const c4 = (2 * Math.PI) / 3;
+                return t === 0 ? 0 : t === 1 ? 1 : Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * c4) + 1;
+            },
+            // CSS keywords
+            ease: Easings.cubicBezier(0.25, 0.1, 0.25, 1),
+            'ease-in': Easings.cubicBezier(0.42, 0, 1, 1),
+            'ease-out': Easings.cubicBezier(0, 0, 0.58, 1),
+            'ease-in-out': Easings.cubicBezier(0.42, 0, 0.58, 1)
+        };
+    }
+
+    /**
+     * Registered easings, created on first use
+     * @returns {Map<string, Function>}
+     */
+    static get registry() {
+        if (!Easings._registry) {
+            Easings._registry = new Map(Object.entries(Easings.defaults));
+        }
+        return Easings._registry;
+    }
+
+    /**
+     * Register an easing under a name, replacing an existing one
+     * @param {string} name - Easing name
+     * @param {Function} fn - Takes the progress (0-1) and returns the eased value
+     */
+    static register(name, fn) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            throw new Error('Easing name must be a non-empty string');
+        }
+        if (typeof fn !== 'function') {
+            throw new Error(`Easing ${name} must be a function`);
+        }
+        Easings.registry.set(name, fn);
+    }
+
+    /**
+     * Check if an easing name or expression can be resolved
+     * @param {string|Function} easing - Easing name, expression or function
+     * @returns {boolean}
+     */
+    static has(easing) {
+        return Easings.get(easing) !== null;
+    }
+
+    /**
+     * Names of the registered easings
+     * @returns {string[]}
+     */
+    static list() {
+        return Array.from(Easings.registry.keys());
+    }
+
+    /**
+     * Resolve an easing
+     * @param {string|Function} easing - Easing name, expression like 'cubic-bezier(.2, 0, 0, 1)', or a function
+     * @returns {Function|null} - The easing function or null if unknown
+     */
+    static get(easing) {
+        if (typeof easing === 'function') return easing;
+        if (typeof easing !== 'string') return null;
+
+        const name = easing.trim();
+        if (Easings.registry.has(name)) {
+            return Easings.registry.get(name);
+        }
+
+        const match = name.match(/^(cubic-bezier|steps|spring)\((.*)\)$/);
+        if (!match) return null;
+
+        const args = match[2].split(',').map(arg => arg.trim()).filter(arg => arg !== '');
+        let fn = null;
+
+        if (match[1] === 'cubic-bezier' && args.length === 4) {
+            const [x1, y1, x2, y2] = args.map(Number);
+            // x values outside [0, 1] are invalid in CSS too, so the expression is unknown rather than an error
+            if ([x1, y1, x2, y2].every(Number.isFinite) && x1 >= 0 && x1 <= 1 && x2 >= 0 && x2 <= 1) {
+                fn = Easings.cubicBezier(x1, y1, x2, y2);
+            }
+        } else if (match[1] === 'steps' && args.length >= 1) {
+            const count = parseInt(args[0], 10);
+            if (count > 0) {
+                fn = Easings.steps(count, args[1]);
+            }
+        } else if (match[1] === 'spring') {
+            const [mass, stiffness, damping, velocity] = args.map(Number);
+            fn = Easings.spring({ mass, stiffness, damping, velocity });
+        }
+
+        // Parsed expressions are cached like named easings
+        if (fn) {
+            Easings.registry.set(name, fn);
+        }
+        return fn;
+    }
+
+    /**
+     * CSS cubic-bezier() timing function
+     * @param {number} x1 - First control point x (0-1)
+     * @param {number} y1 - First control point y
+     * @param {number} x2 - Second control point x (0-1)
+     * @param {number} y2 - Second control point y
+     * @returns {Function} - The easing function
+     */
+    static cubicBezier(x1, y1, x2, y2) {
+        if (x1 < 0 || x1 > 1 || x2 < 0 || x2 > 1) {
+            throw new Error('cubic-bezier x values must be between 0 and 1');
+        }
+
+        // Polynomial coefficients of the curve for one axis
+        const cx = 3 * x1;
+        const bx = 3 * (x2 - x1) - cx;
+        const ax = 1 - cx - bx;
+        const cy = 3 * y1;
+        const by = 3 * (y2 - y1) - cy;
+        const ay = 1 - cy - by;
+
+        const sampleX = s => ((ax * s + bx) * s + cx) * s;
+        const sampleY = s => ((ay * s + by) * s + cy) * s;
+        const slopeX = s => (3 * ax * s + 2 * bx) * s + cx;
+
+        // Find the curve parameter for x: Newton's method, bisection when the slope is too flat
+        const solve = x => {
+            let s = x;
+            for (let i = 0; i < 8; i++) {
+                const error = sampleX(s) - x;
+                if (Math.abs(error) < 1e-6) return s;
+                const slope = slopeX(s);
+                if (Math.abs(slope) < 1e-6) break;
+                s -= error / slope;
+            }
+
+            let low = 0;
+            let high = 1;
+            s = x;
+            while (high - low > 1e-6) {
+                if (sampleX(s) < x) {
+                    low = s;
+                } else {
+                    high = s;
+                }
+                s = (low + high) / 2;
+            }
+            return s;
+        };
+
+        return t => {
+            if (t <= 0) return 0;
+            if (t >= 1) return 1;
+            return sampleY(solve(t));
+        };
+    }
+
+    /**
+     * CSS steps() timing function
+     * @param {number} count - Number of steps
+     * @param {string} [position='end'] - 'end' (jump-end) or 'start' (jump-start)
+     * @returns {Function} - The easing function
+     */
+    static steps(count, position = 'end') {
+        const jumpStart = position === 'start' || position === 'jump-start';
+
+        return t => {
+            if (t >= 1) return 1;
+            if (t <= 0) return jumpStart ? 1 / count : 0;
+            return (jumpStart ? Math.ceil(t * count) : Math.floor(t * count)) / count;
+        };
+    }
+
+    /**
+     * Spring easing: a damped spring released from 0 towards 1, with the duration mapped to its settling time
+     * @param {Object} [options] - Spring parameters
+     * @param {number} [options.mass=1] - Mass
+     * @param {number} [options.stiffness=100] - Spring stiffness
+     * @param {number} [options.damping=10] - Damping, lower values bounce more
+     * @param {number} [options.velocity=0] - Initial velocity
+     * @returns {Function} - The easing function
+     */
+    static spring({ mass = 1, stiffness = 100, damping = 10, velocity = 0 } = {}) {
+        // NaN from a partial 'spring(...)' expression falls back to the defaults
+        mass = mass > 0 ? mass : 1;
+        stiffness = stiffness > 0 ? stiffness : 100;
+        damping = damping >= 0 ? damping : 10;
+        velocity = Number.isFinite(velocity) ? velocity : 0;
+
+        const w0 = Math.sqrt(stiffness / mass);
+        const zeta = damping / (2 * Math.sqrt(stiffness * mass));
+
+        // Displacement from the rest position at time s (seconds)
+        let displacement;
+        let decay;
+        if (zeta < 1) {
+            const wd = w0 * Math.sqrt(1 - zeta * zeta);
+            const b = (zeta * w0 - velocity) / wd;
+            displacement = s => Math.exp(-zeta * w0 * s) * (Math.cos(wd * s) + b * Math.sin(wd * s));
+            decay = zeta * w0;
+        } else if (zeta === 1) {
+            displacement = s => Math.exp(-w0 * s) * (1 + (w0 - velocity) * s);
+            decay = w0;
+        } else {
+            const root = Math.sqrt(zeta * zeta - 1);
+            const r1 = -w0 * (zeta - root);
+            const r2 = -w0 * (zeta + root);
+            const a = (-velocity - r2) / (r1 - r2);
+            displacement = s => a * Math.exp(r1 * s) + (1 - a) * Math.exp(r2 * s);
+            decay = -r1;
+        }
+
+        // Time until the envelope is below 0.1% of the distance
+        const settle = decay > 0 ? Math.log(1000) / decay : 1;
+
+        return t => {
+            if (t <= 0) return 0;
+            if (t >= 1) return 1;
+            return 1 - displacement(t * settle);
+        };
+    }
+}
@@ -0,0 +1,224 @@
+/**
+ * Environment watches the user's preferences and the state of the page that change how much motion is welcome:
+ * reduced motion, printing and data saving (Save-Data, slow connections, prefers-reduced-data).
+ * It turns them into one mode, which the core hands to every running plugin:
+ * 'full' animates everything, 'reduced' keeps the page working without motion, 'disabled' leaves a static page.
+ */
+class Environment {
+    /**
+     * Modes from the most to the least motion
+     * @returns {string[]}
+     */
+    static get MODES() {
+        return ['full', 'reduced', 'disabled'];
+    }
+
+    constructor() {
+        this.listeners = new Set();
+        this.queries = [];
+        this.printing = false;
+        this.forced = null;
+        this.watching = false;
+
+        // Mode of each condition while it holds
+        this.rules = {
+            reducedMotion: 'reduced',
+            saveData: 'reduced',
+            print: 'disabled'
+        };
+
+        this.state = this._measure();
+
+        this.update = this.update.bind(this);
+        this.handleBeforePrint = this.handleBeforePrint.bind(this);
+        this.handleAfterPrint = this.handleAfterPrint.bind(this);
+    }
+
+    /**
+     * Current mode
+     * @returns {string} - 'full', 'reduced' or 'disabled'
+     */
+    get mode() {
+        return this.getState().mode;
+    }
+
+    /**
+     * Get the conditions and the mode they result in
+     * @returns {{mode: string, reducedMotion: boolean, print: boolean, saveData: boolean, forced: boolean}}
+     */
+    getState() {
+        // Nobody listens to the changes, so measure on demand
+        if (!this.watching) {
+            this.state = this._measure();
+        }
+        return { ...this.state };
+    }
+
+    /**
+     * Change the mode a condition switches to
+     * @param {Object} rules - Condition name (reducedMotion, saveData, print) -> mode
+     */
+    configure(rules = {}) {
+        Object.entries(rules).forEach(([condition, mode]) => {
+            if (!(condition in this.rules)) {
+                throw new Error(`Unknown environment condition ${condition}`);
+            }
+            if (!Environment.MODES.includes(mode)) {
+                throw new Error(`Unknown mode ${mode}, expected ${Environment.MODES.join(', ')}`);
+            }
+            this.rules[condition] = mode;
+        });
+        this.update();
+    }
+
+    /**
+     * Use a mode whatever the conditions, e.g. to preview the reduced page
+     * @param {string|null} mode - The mode, null to follow the conditions again
+     */
+    force(mode) {
+        if (mode !== null && !Environment.MODES.includes(mode)) {
+            throw new Error(`Unknown mode ${mode}, expected ${Environment.MODES.join(', ')}`);
+        }
+        this.forced = mode;
+        this.update();
+    }
+
+    /**
+     * Get notified when the mode or a condition changes
+     * @param {Function} callback - Called with the new state and the previous one
+     * @returns {Function} - Call to unsubscribe
+     */
+    subscribe(callback) {
+        this.listeners.add(callback);
+
+        if (!this.watching) {
+            this._watch();
+        }
+
+        return () => this.unsubscribe(callback);
+    }
+
+    /**
+     * Stop receiving changes
+     * @param {Function} callback - The callback passed to subscribe()
+     */
+    unsubscribe(callback) {
+        this.listeners.delete(callback);
+
+        if (this.listeners.size === 0 && this.watching) {
+            this._unwatch();
+        }
+    }
+
+    /**
+     * Measure the conditions again and notify listeners if anything changed
+     */
+    update() {
+        const previous = this.state;
+        const state = this._measure();
+        this.state = state;
+
+        const changed = Object.keys(state).some(key => state[key] !== previous[key]);
+        if (changed) {
+            this.listeners.forEach(listener => listener({ ...state }, { ...previous }));
+        }
+    }
+
+    /**
+     * Printing starts, switch before the browser lays the page out for paper
+     */
+    handleBeforePrint() {
+        this.printing = true;
+        this.update();
+    }
+
+    handleAfterPrint() {
+        this.printing = false;
+        this.update();
+    }
+
+    /**
+     * Read every condition
+     * @private
+     * @returns {{mode: string, reducedMotion: boolean, print: boolean, saveData: boolean, forced: boolean}}
+     */
+    _measure() {
+        const matches = query => typeof window !== 'undefined'
+            && typeof window.matchMedia === 'function'
+            && window.matchMedia(query).matches;
+
+        const connection = typeof navigator !== 'undefined' ? navigator.connection : null;
+        const conditions = {
+            reducedMotion: matches('(prefers-reduced-motion: reduce)'),
+            print: this.printing || matches('print'),
+            saveData: matches('(prefers-reduced-data: reduce)')
+                || !!(connection && (connection.saveData || ['slow-2g', '2g'].includes(connection.effectiveType)))
+        };
+
+        // The condition asking for the least motion wins
+        const modes = Object.keys(conditions)
+            .filter(condition => conditions[condition])
+            .map(condition => Environment.MODES.indexOf(this.rules[condition]));
+        const mode = this.forced ?? Environment.MODES[Math.max(0, ...modes)];
+
+        return { mode, ...conditions, forced: this.forced !== null };
+    }
+
+    /**
+     * Start listening to the media queries, print events and network hints
+     * @private
+     */
+    _watch() {
+        this.watching = true;
+        this.state = this._measure();
+
+        if (typeof window === 'undefined') return;
+
+        if (typeof window.matchMedia === 'function') {
+            this.queries = ['(prefers-reduced-motion: reduce)', '(prefers-reduced-data: reduce)', 'print']
+                .map(query => window.matchMedia(query));
+            this.queries.forEach(query => {
+                if (typeof query.addEventListener === 'function') {
+                    query.addEventListener('change', this.update);
+                } else if (typeof query.addListener === 'function') {
+                    query.addListener(this.update);
+                }
+            });
+        }
+
+        window.addEventListener('beforeprint', this.handleBeforePrint);
+        window.addEventListener('afterprint', this.handleAfterPrint);
+
+        const connection = typeof navigator !== 'undefined' ? navigator.connection : null;
+        if (connection && typeof connection.addEventListener === 'function') {
+            connection.addEventListener('change', this.update);
+        }
+    }
+
+    /**
+     * Remove every listener added by _watch()
+     * @private
+     */
+    _unwatch() {
+        this.watching = false;
+
+        this.queries.forEach(query => {
+            if (typeof query.removeEventListener === 'function') {
+                query.removeEventListener('change', this.update);
+            } else if (typeof query.removeListener === 'function') {
+                query.removeListener(this.update);
+            }
+        });
+        this.queries = [];
+
+        if (typeof window === 'undefined') return;
+
+        window.removeEventListener('beforeprint', this.handleBeforePrint);
+        window.removeEventListener('afterprint', this.handleAfterPrint);
+
+        const connection = typeof navigator !== 'undefined' ? navigator.connection : null;
+        if (connection && typeof connection.removeEventListener === 'function') {
+            connection.removeEventListener('change', this.update);
+        }
+    }
+}
@@ -0,0 +1,101 @@
+/**
+ * EventBus is the single place where OpenScroll and its plugins report what happens.
+ * Listeners on '*' receive every event as (eventName, payload).
+ */
+class EventBus {
+    constructor() {
+        // event name -> Set of listeners
+        this.listeners = new Map();
+    }
+
+    /**
+     * Listen to an event
+     * @param {string} event - Event name, or '*' for every event
+     * @param {Function} callback - Called with the event payload
+     * @returns {Function} - Call to remove the listener
+     */
+    on(event, callback) {
+        if (typeof callback !== 'function') {
+            throw new Error(`Listener for ${event} must be a function`);
+        }
+
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(callback);
+
+        return () => this.off(event, callback);
+    }
+
+    /**
+     * Listen to the next occurrence of an event only
+     * @param {string} event - Event name, or '*' for every event
+     * @param {Function} callback - Called with the event payload
+     * @returns {Function} - Call to remove the listener before it fired
+     */
+    once(event, callback) {
+        const wrapper = (...args) => {
+            this.off(event, wrapper);
+            callback(...args);
+        };
+        wrapper.original = callback;
+
+        return this.on(event, wrapper);
+    }
+
+    /**
+     * Remove a listener, or every listener of an event when no callback is given
+     * @param {string} event - Event name
+     * @param {Function} [callback] - The listener to remove
+     */
+    off(event, callback) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) return;
+
+        if (callback === undefined) {
+            listeners.clear();
+        } else {
+            listeners.forEach(listener => {
+                if (listener === callback || listener.original === callback) {
+                    listeners.delete(listener);
+                }
+            });
+        }
+
+        if (listeners.size === 0) {
+            this.listeners.delete(event);
+        }
+    }
+
+    /**
+     * Check if an event has listeners
+     * @param {string} event - Event name
+     * @returns {boolean}
+     */
+    has(event) {
+        return this.listeners.has(event);
+    }
+
+    /**
+     * Call every listener of an event
+     * A failing listener is logged and does not prevent the others from running.
+     * @param {string} event - Event name
+     * @param {*} [payload] - Data passed to the listeners
+     */
+    emit(event, payload) {
+        const call = (listener, args) => {
+            try {
+                listener(...args);
+            } catch (error) {
+                console.error(`Listener for ${event} failed:`, error);
+            }
+        };
+
+        // Copy so listeners can remove themselves while we iterate
+        Array.from(this.listeners.get(event) || []).forEach(listener => call(listener, [payload]));
+
+        if (event !== '*') {
+            Array.from(this.listeners.get('*') || []).forEach(listener => call(listener, [event, payload]));
+        }
+    }
+}
@@ -0,0 +1,236 @@
+/**
+ * Playback is the time control shared by Tween and Timeline: play, pause, reverse, seek, repeat and yoyo,
+ * driven by the ticker of an OpenScroll instance. Times are in ms.
+ * Subclasses provide the duration of one iteration and render a local time with _render().
+ */
+class Playback {
+    /**
+     * @param {Object} [vars] - Playback options
+     * @param {number} [vars.delay=0] - Wait before the playhead starts moving, in ms
+     * @param {number} [vars.repeat=0] - Extra iterations, -1 repeats forever
+     * @param {boolean} [vars.yoyo=false] - Play every other iteration backwards
+     * @param {Function} [vars.onStart] - Called when the playhead first leaves 0
+     * @param {Function} [vars.onUpdate] - Called after every render
+     * @param {Function} [vars.onComplete] - Called when the end is reached
+     * @param {Function} [vars.onReverseComplete] - Called when playing backwards reached the start
+     * @param {OpenScroll} [core] - OpenScroll instance whose ticker drives the playback
+     */
+    constructor(vars = {}, core = null) {
+        this.core = core || new OpenScroll();
+        this.vars = vars;
+
+        this.delay = vars.delay ?? 0;
+        this.repeat = vars.repeat ?? 0;
+        this.yoyo = vars.yoyo ?? false;
+
+        this.time = 0; // Playhead over all iterations
+        this.renderedTime = null; // null until the first render
+        this.waiting = this.delay;
+        this.reversed = false;
+        this.paused = true;
+        this.started = false;
+
+        // Set when added to a timeline, which then drives this playback
+        this.parent = null;
+        this.removeTick = null;
+
+        this._tick = this._tick.bind(this);
+    }
+
+    /**
+     * Duration of one iteration in ms
+     * @returns {number}
+     */
+    get duration() {
+        return 0;
+    }
+
+    /**
+     * Duration of every iteration together, Infinity when repeating forever
+     * @returns {number}
+     */
+    get totalDuration() {
+        return this.repeat < 0 ? Infinity : this.duration * (this.repeat + 1);
+    }
+
+    /**
+     * Whether the playback is currently moving on the ticker
+     * @returns {boolean}
+     */
+    get isActive() {
+        return this.removeTick !== null;
+    }
+
+    /**
+     * Play forwards from the current position
+     * @returns {Playback} - this
+     */
+    play() {
+        this.reversed = false;
+        return this.resume();
+    }
+
+    /**
+     * Play backwards from the current position
+     * @returns {Playback} - this
+     */
+    reverse() {
+        this.reversed = true;
+        return this.resume();
+    }
+
+    /**
+     * Continue in the current direction
+     * @returns {Playback} - this
+     */
+    resume() {
+        this.paused = false;
+
+        if (!this.parent && !this.removeTick) {
+            this.removeTick = this.core.ticker.add(this._tick);
+        }
+        return this;
+    }
+
+    /**
+     * Stop the playhead where it is
+     * @returns {Playback} - this
+     */
+    pause() {
+        this.paused = true;
+
+        if (this.removeTick) {
+            this.removeTick();
+            this.removeTick = null;
+        }
+        return this;
+    }
+
+    /**
+     * Play forwards from the start, including the delay
+     * @returns {Playback} - this
+     */
+    restart() {
+        this.waiting = this.delay;
+        this.seek(0);
+        return this.play();
+    }
+
+    /**
+     * Move the playhead and render that position
+     * @param {number} time - Time in ms, over all iterations
+     * @returns {Playback} - this
+     */
+    seek(time) {
+        this.time = Math.min(Math.max(time, 0), this.totalDuration);
+        this.render(this.time);
+        return this;
+    }
+
+    /**
+     * Get or set the progress
+     * @param {number} [value] - New progress (0-1), of one iteration when repeating forever
+     * @returns {number|Playback} - The progress when getting, this when setting
+     */
+    progress(value) {
+        const span = Number.isFinite(this.totalDuration) ? this.totalDuration : this.duration;
+
+        if (value === undefined) {
+            if (span === 0) return this.time > 0 || this.renderedTime !== null ? 1 : 0;
+            return Math.min(this.time / span, 1);
+        }
+        return this.seek(Math.min(Math.max(value, 0), 1) * span);
+    }
+
+    /**
+     * Stop and forget the playback, also removing it from its timeline
+     */
+    kill() {
+        this.pause();
+
+        if (this.parent) {
+            this.parent.remove(this);
+        }
+    }
+
+    /**
+     * Frame callback moving the playhead
+     * @param {number} time - Frame timestamp in ms
+     * @param {number} deltaTime - Time since the last frame in ms
+     */
+    _tick(time, deltaTime) {
+        let step = deltaTime;
+
+        if (this.waiting > 0 && !this.reversed) {
+            this.waiting -= step;
+            if (this.waiting > 0) return;
+            step = -this.waiting;
+            this.waiting = 0;
+        }
+
+        this.seek(this.time + (this.reversed ? -step : step));
+
+        if ((this.reversed && this.time <= 0) || (!this.reversed && this.time >= this.totalDuration)) {
+            this.pause();
+        }
+    }
+
+    /**
+     * Render a playhead position, resolving repeats and yoyo into a local time
+     * @param {number} time - Time in ms, over all iterations
+     */
+    render(time) {
+        const previous = this.renderedTime;
+        if (previous === time) return;
+        this.renderedTime = time;
+
+        const duration = this.duration;
+        let local = Math.min(time, duration);
+
+        if (duration > 0 && time > 0) {
+            let iteration = Math.floor(time / duration);
+            local = time - iteration * duration;
+
+            // The end of an iteration belongs to it, not to the start of the next one
+            if (local === 0) {
+                iteration--;
+                local = duration;
+            }
+            if (this.yoyo && iteration % 2 === 1) {
+                local = duration - local;
+            }
+        }
+
+        if (!this.started && time > 0) {
+            this.started = true;
+            this._call('onStart');
+        }
+
+        this._render(local, previous !== null && time < previous);
+        this._call('onUpdate');
+
+        if (time >= this.totalDuration && (previous === null || previous < time)) {
+            this._call('onComplete');
+        } else if (time <= 0 && previous !== null && previous > 0) {
+            this.started = false;
+            this._call('onReverseComplete');
+        }
+    }
+
+    /**
+     * Render a time within one iteration
+     * @param {number} local - Time in ms within the iteration
+     * @param {boolean} backwards - Whether the playhead moved backwards
+     */
+    _render(local, backwards) {}
+
+    _call(name) {
+        if (typeof this.vars[name] === 'function') {
+            try {
+                this.vars[name](this);
+            } catch (error) {
+                console.error(`${name} callback failed:`, error);
+            }
+        }
+    }
+}
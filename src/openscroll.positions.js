@@ -0,0 +1,96 @@
+/**
+ * ScrollPositions turns "<element edge> <viewport edge>" strings into scroll positions, for every plugin
+ * working with scroll ranges. Each edge is a keyword (top, center, bottom), a percentage or pixels, optionally
+ * followed by an offset ("top+=100"). An end can also be relative to the start ("+=500").
+ */
+class ScrollPositions {
+    /**
+     * Parse one edge into pixels
+     * @param {string} value - e.g. 'top', 'center', '80%', '100px', 'top+=50'
+     * @param {number} size - Size the keywords and percentages are relative to
+     * @returns {number} - Offset in pixels, 0 when it cannot be parsed
+     */
+    static parseEdge(value, size) {
+        const match = String(value).trim().match(/^([a-z]+|-?[\d.]+%?(?:px)?)([+-]=-?[\d.]+)?(?:px)?$/);
+        if (!match) {
+            console.warn(`OpenScroll: cannot parse position "${value}"`);
+            return 0;
+        }
+
+        const [, base, offset] = match;
+        let pixels;
+
+        if (base === 'top' || base === 'left') {
+            pixels = 0;
+        } else if (base === 'center') {
+            pixels = size / 2;
+        } else if (base === 'bottom' || base === 'right') {
+            pixels = size;
+        } else if (base.endsWith('%')) {
+            pixels = (parseFloat(base) / 100) * size;
+        } else {
+            pixels = parseFloat(base) || 0;
+        }
+
+        if (offset) {
+            const amount = parseFloat(offset.slice(2));
+            pixels += offset[0] === '+' ? amount : -amount;
+        }
+
+        return pixels;
+    }
+
+    /**
+     * Split a position into its element and viewport edges
+     * @param {string} position - e.g. 'top 80%'
+     * @returns {string[]} - [elementEdge, viewportEdge]
+     */
+    static split(position) {
+        const [elementEdge = 'top', viewportEdge = 'top'] = String(position).trim().split(/\s+/);
+        return [elementEdge, viewportEdge];
+    }
+
+    /**
+     * Check if a position is relative to another one ('+=500', '-=100')
+     * @param {string} position - The position
+     * @returns {boolean}
+     */
+    static isRelative(position) {
+        return /^[+-]=/.test(String(position).trim());
+    }
+
+    /**
+     * Scroll position at which an element edge meets a viewport edge
+     * @param {string} position - e.g. 'top 80%'
+     * @param {{top: number, height: number, viewport: number}} layout - Element top and height in scroll pixels, viewport height
+     * @returns {number} - Scroll position in pixels
+     */
+    static resolve(position, layout) {
+        const [elementEdge, viewportEdge] = ScrollPositions.split(position);
+        return layout.top
+            + ScrollPositions.parseEdge(elementEdge, layout.height)
+            - ScrollPositions.parseEdge(viewportEdge, layout.viewport);
+    }
+
+    /**
+     * Resolve a start and an end position, keeping at least 1px between them
+     * @param {string} start - Start position
+     * @param {string|number} end - End position, '+=N' relative to the start, or a distance in pixels
+     * @param {{top: number, height: number, viewport: number}} layout - See resolve()
+     * @returns {{start: number, end: number}} - Scroll positions in pixels
+     */
+    static range(start, end, layout) {
+        const from = ScrollPositions.resolve(start, layout);
+        let to;
+
+        if (typeof end === 'number') {
+            to = from + end;
+        } else if (ScrollPositions.isRelative(end)) {
+            to = from + ScrollPositions.parseEdge(`0${String(end).trim()}`, layout.viewport);
+        } else {
+            to = ScrollPositions.resolve(end, layout);
+        }
+
+        return { start: from, end: Math.max(to, from + 1) };
+    }
+}
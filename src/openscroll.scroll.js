@@ -0,0 +1,172 @@
+/**
+ * ScrollDriver hands out the effective scroll position of the page to every plugin.
+ * It reads the native window scroll by default; a plugin rendering its own scroll position
+ * (Smoothscroller) registers itself as provider so everyone follows the value that is on screen.
+ */
+class ScrollDriver {
+    /**
+     * @param {Ticker} ticker - Ticker used to sample the position once per frame
+     */
+    constructor(ticker) {
+        this.ticker = ticker;
+        this.provider = null;
+        this.listeners = new Set();
+        this.removeTick = null;
+
+        this.state = {
+            x: 0,
+            y: 0,
+            velocityX: 0, // px/s
+            velocity: 0, // px/s on the vertical axis
+            direction: 0 // 1 down, -1 up, 0 before the first movement
+        };
+
+        this.update = this.update.bind(this);
+    }
+
+    /**
+     * Use a plugin as the source of the scroll position
+     * @param {Object} provider - Object exposing getScrollPosition() returning {x, y}
+     */
+    setProvider(provider) {
+        if (!provider || typeof provider.getScrollPosition !== 'function') {
+            throw new Error('Scroll provider must implement getScrollPosition()');
+        }
+        this.provider = provider;
+    }
+
+    /**
+     * Go back to the native scroll position if the given provider is the current one
+     * @param {Object} provider - The provider to remove
+     */
+    clearProvider(provider) {
+        if (this.provider === provider) {
+            this.provider = null;
+        }
+    }
+
+    /**
+     * Read the current position from the provider or the window
+     * @returns {{x: number, y: number}}
+     */
+    read() {
+        if (this.provider) {
+            return this.provider.getScrollPosition();
+        }
+
+        if (typeof window === 'undefined') {
+            return { x: 0, y: 0 };
+        }
+
+        return { x: window.scrollX, y: window.scrollY };
+    }
+
+    /**
+     * Maximum scroll position, from the provider when it renders its own content
+     * @returns {{x: number, y: number}}
+     */
+    getLimit() {
+        if (this.provider && typeof this.provider.getScrollLimit === 'function') {
+            return this.provider.getScrollLimit();
+        }
+
+        if (typeof document === 'undefined') {
+            return { x: 0, y: 0 };
+        }
+
+        const root = document.documentElement;
+        return {
+            x: Math.max(root.scrollWidth - window.innerWidth, 0),
+            y: Math.max(root.scrollHeight - window.innerHeight, 0)
+        };
+    }
+
+    /**
+     * Get the last sampled scroll state
+     * @returns {{x: number, y: number, velocityX: number, velocity: number, direction: number}}
+     */
+    getState() {
+        // Nobody keeps the sampling alive, so read on demand
+        if (!this.removeTick) {
+            const { x, y } = this.read();
+            this.state.x = x;
+            this.state.y = y;
+        }
+        return { ...this.state };
+    }
+
+    get x() {
+        return this.getState().x;
+    }
+
+    get y() {
+        return this.getState().y;
+    }
+
+    get velocity() {
+        return this.state.velocity;
+    }
+
+    get direction() {
+        return this.state.direction;
+    }
+
+    /**
+     * Get notified when the scroll position or velocity changes
+     * @param {Function} callback - Called with the scroll state
+     * @returns {Function} - Call to unsubscribe
+     */
+    subscribe(callback) {
+        this.listeners.add(callback);
+
+        if (!this.removeTick) {
+            const { x, y } = this.read();
+            this.state.x = x;
+            this.state.y = y;
+            this.removeTick = this.ticker.add(this.update, Ticker.PRIORITY.SCROLL);
+        }
+
+        return () => this.unsubscribe(callback);
+    }
+
+    /**
+     * Stop receiving scroll updates
+     * @param {Function} callback - The callback passed to subscribe()
+     */
+    unsubscribe(callback) {
+        this.listeners.delete(callback);
+
+        if (this.listeners.size === 0 && this.removeTick) {
+            this.removeTick();
+            this.removeTick = null;
+        }
+    }
+
+    /**
+     * Sample the position for this frame and notify listeners
+     * @param {number} time - Frame timestamp in ms
+     * @param {number} deltaTime - Time since the last frame in ms
+     */
+    update(time, deltaTime) {
+        const { x, y } = this.read();
+        const deltaX = x - this.state.x;
+        const deltaY = y - this.state.y;
+        const seconds = Math.max(deltaTime, 1) / 1000;
+        const wasMoving = this.state.velocity !== 0 || this.state.velocityX !== 0;
+
+        this.state.x = x;
+        this.state.y = y;
+        this.state.velocityX = deltaX / seconds;
+        this.state.velocity = deltaY / seconds;
+
+        if (deltaY !== 0) {
+            this.state.direction = deltaY > 0 ? 1 : -1;
+        }
+
+        // Also notify once when movement stops so listeners see the velocity drop to 0
+        if (deltaX !== 0 || deltaY !== 0 || wasMoving) {
+            const state = { ...this.state };
+            this.listeners.forEach(listener => listener(state));
+        }
+    }
+}
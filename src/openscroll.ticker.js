@@ -0,0 +1,137 @@
+/**
+ * Ticker drives every plugin of an OpenScroll instance from a single requestAnimationFrame loop.
+ * Listeners run in ascending priority order, so scroll sources update before the effects reading them.
+ */
+class Ticker {
+    /**
+     * Priorities used by the core and the bundled plugins
+     * @returns {{SOURCE: number, SCROLL: number, DEFAULT: number}}
+     */
+    static get PRIORITY() {
+        return {
+            SOURCE: -100, // Plugins that render their own scroll position (Smoothscroller)
+            SCROLL: -50, // The ScrollDriver sampling the effective position
+            DEFAULT: 0 // Everything reading the scroll position
+        };
+    }
+
+    /**
+     * @param {Clock|ManualClock} [clock] - Source of frames
+     */
+    constructor(clock = new Clock()) {
+        this.clock = clock;
+        this.listeners = [];
+        this.frameId = null;
+        this.lastTime = null;
+        this.frame = 0;
+
+        this.tick = this.tick.bind(this);
+    }
+
+    /**
+     * Use another clock, moving a running loop over to it
+     * @param {Clock|ManualClock} clock - The new clock
+     */
+    setClock(clock) {
+        const wasRunning = this.isRunning;
+        this.stop();
+        this.clock = clock;
+
+        if (wasRunning) {
+            this.start();
+        }
+    }
+
+    /**
+     * Whether the frame loop is currently scheduled
+     * @returns {boolean}
+     */
+    get isRunning() {
+        return this.frameId !== null;
+    }
+
+    /**
+     * Add a frame callback, starting the loop if needed
+     * @param {Function} callback - Called with (time, deltaTime, frame) on every frame
+     * @param {number} [priority=0] - Lower priorities run first
+     * @returns {Function} - Call to remove the callback again
+     */
+    add(callback, priority = Ticker.PRIORITY.DEFAULT) {
+        if (typeof callback !== 'function') {
+            throw new Error('Ticker callback must be a function');
+        }
+
+        if (!this.has(callback)) {
+            this.listeners.push({ callback, priority });
+            // Array.prototype.sort is stable, so equal priorities keep their insertion order
+            this.listeners.sort((a, b) => a.priority - b.priority);
+        }
+
+        this.start();
+
+        return () => this.remove(callback);
+    }
+
+    /**
+     * Remove a frame callback, stopping the loop when none are left
+     * @param {Function} callback - The callback passed to add()
+     */
+    remove(callback) {
+        this.listeners = this.listeners.filter(listener => listener.callback !== callback);
+
+        if (this.listeners.length === 0) {
+            this.stop();
+        }
+    }
+
+    /**
+     * Check if a callback is registered
+     * @param {Function} callback - The callback to look for
+     * @returns {boolean}
+     */
+    has(callback) {
+        return this.listeners.some(listener => listener.callback === callback);
+    }
+
+    /**
+     * Schedule the frame loop
+     */
+    start() {
+        if (this.isRunning || this.listeners.length === 0) return;
+
+        this.lastTime = null;
+        this.frameId = this.clock.requestFrame(this.tick);
+    }
+
+    /**
+     * Cancel the frame loop
+     */
+    stop() {
+        if (this.frameId !== null) {
+            this.clock.cancelFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    /**
+     * Run one frame
+     * @param {number} time - Frame timestamp in ms
+     */
+    tick(time) {
+        const deltaTime = this.lastTime === null ? 1000 / 60 : time - this.lastTime;
+        this.lastTime = time;
+        this.frame++;
+
+        // Schedule first so a failing listener does not stop the loop for everyone
+        this.frameId = this.clock.requestFrame(this.tick);
+
+        // Iterate over a copy so listeners can remove themselves
+        this.listeners.slice().forEach(({ callback }) => {
+            try {
+                callback(time, deltaTime, this.frame);
+            } catch (error) {
+                console.error('Ticker callback failed:', error);
+            }
+        });
+    }
+}
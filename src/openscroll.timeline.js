@@ -0,0 +1,237 @@
+/**
+ * Timeline sequences tweens, nested timelines and callbacks on one playhead.
+ * Positions are absolute times in ms, '+=200' / '-=200' relative to the end, a label ('intro', 'intro+=100'),
+ * or '<' / '>' for the start / end of the previously added child.
+ *
+ * openScroll.timeline({ repeat: 1, yoyo: true })
+ *     .to('.title', { y: 0, opacity: 1, duration: 400 })
+ *     .addLabel('cards')
+ *     .from('.card', { y: 40, opacity: 0, stagger: 80 }, 'cards-=100');
+ */
+class Timeline extends Playback {
+    /**
+     * @param {Object} [vars] - Playback options, see Playback
+     * @param {Object} [vars.defaults] - Options applied to every tween created by to(), from() and fromTo()
+     * @param {OpenScroll} [core] - OpenScroll instance whose ticker drives the timeline
+     */
+    constructor(vars = {}, core = null) {
+        super(vars, core);
+
+        this.defaults = vars.defaults || {};
+        this.children = []; // { animation, start } or { callback, start }, sorted by start
+        this.labels = new Map();
+        this.previous = null;
+        this.lastLocal = null;
+    }
+
+    get duration() {
+        return this.children.reduce((end, child) => {
+            const length = child.animation ? child.animation.totalDuration : 0;
+            return Math.max(end, child.start + (Number.isFinite(length) ? length : 0));
+        }, 0);
+    }
+
+    /**
+     * Add a tween, timeline or callback
+     * @param {Playback|Function} child - What to add
+     * @param {number|string} [position] - Where to add it, the end by default
+     * @returns {Timeline} - this
+     */
+    add(child, position) {
+        if (typeof child === 'function') {
+            return this.call(child, position);
+        }
+        if (!(child instanceof Playback)) {
+            throw new Error('Timeline children must be tweens, timelines or functions');
+        }
+
+        const start = this._parsePosition(position);
+
+        // The timeline drives its children from now on
+        child.pause();
+        if (child.parent) {
+            child.parent.remove(child);
+        }
+        child.parent = this;
+
+        this._insert({ animation: child, start });
+        return this;
+    }
+
+    /**
+     * Tween targets to values
+     * @param {*} targets - Tween targets
+     * @param {Object} vars - End values plus tween options
+     * @param {number|string} [position] - Where to add it
+     * @returns {Timeline} - this
+     */
+    to(targets, vars, position) {
+        return this.add(new Tween(targets, { ...this.defaults, ...vars }, this.core), position);
+    }
+
+    /**
+     * Tween targets from values to their current ones
+     * @param {*} targets - Tween targets
+     * @param {Object} vars - Start values plus tween options
+     * @param {number|string} [position] - Where to add it
+     * @returns {Timeline} - this
+     */
+    from(targets, vars, position) {
+        const options = {};
+        const from = {};
+
+        Object.keys(vars).forEach(key => {
+            if (Tween.RESERVED.includes(key)) {
+                options[key] = vars[key];
+            } else {
+                from[key] = vars[key];
+            }
+        });
+
+        return this.to(targets, { ...options, from: { ...from, ...vars.from } }, position);
+    }
+
+    /**
+     * Tween targets between two sets of values
+     * @param {*} targets - Tween targets
+     * @param {Object} fromVars - Start values
+     * @param {Object} toVars - End values plus tween options
+     * @param {number|string} [position] - Where to add it
+     * @returns {Timeline} - this
+     */
+    fromTo(targets, fromVars, toVars, position) {
+        return this.to(targets, { ...toVars, from: fromVars }, position);
+    }
+
+    /**
+     * Call a function when the playhead passes a position going forwards
+     * @param {Function} callback - Called with the timeline
+     * @param {number|string} [position] - Where to add it
+     * @returns {Timeline} - this
+     */
+    call(callback, position) {
+        this._insert({ callback, start: this._parsePosition(position) });
+        return this;
+    }
+
+    /**
+     * Name a position
+     * @param {string} name - Label name
+     * @param {number|string} [position] - Where to put it, the end by default
+     * @returns {Timeline} - this
+     */
+    addLabel(name, position) {
+        this.labels.set(name, this._parsePosition(position));
+        return this;
+    }
+
+    /**
+     * Move the playhead to a time or label
+     * @param {number|string} position - Time in ms or label
+     * @returns {Timeline} - this
+     */
+    seek(position) {
+        return super.seek(typeof position === 'string' ? this._parsePosition(position) : position);
+    }
+
+    /**
+     * Remove a child
+     * @param {Playback|Function} child - Tween, timeline or callback
+     */
+    remove(child) {
+        this.children = this.children.filter(entry => entry.animation !== child && entry.callback !== child);
+
+        if (child instanceof Playback && child.parent === this) {
+            child.parent = null;
+        }
+        if (this.previous && (this.previous.animation === child || this.previous.callback === child)) {
+            this.previous = null;
+        }
+    }
+
+    /**
+     * Kill the timeline and every child
+     */
+    kill() {
+        this.children.forEach(child => {
+            if (child.animation) {
+                child.animation.parent = null;
+                child.animation.kill();
+            }
+        });
+        this.children = [];
+        super.kill();
+    }
+
+    _insert(entry) {
+        this.children.push(entry);
+        // Array.prototype.sort is stable, so children at the same time keep their order
+        this.children.sort((a, b) => a.start - b.start);
+        this.previous = entry;
+    }
+
+    /**
+     * Resolve a position to a time
+     * @param {number|string} [position] - Position, see the class description
+     * @returns {number} - Time in ms
+     */
+    _parsePosition(position) {
+        const end = this.duration;
+
+        if (position === undefined || position === null) return end;
+        if (typeof position === 'number') return Math.max(0, position);
+
+        const value = String(position).trim();
+        const offsetMatch = value.match(/([+-]=)(-?[\d.]+)$/);
+        const offset = offsetMatch ? (offsetMatch[1] === '+=' ? 1 : -1) * parseFloat(offsetMatch[2]) : 0;
+        const base = offsetMatch ? value.slice(0, offsetMatch.index) : value;
+
+        let time;
+        if (base === '') {
+            time = end;
+        } else if (base === '<' || base === '>') {
+            const previous = this.previous;
+            const length = previous && previous.animation ? previous.animation.totalDuration : 0;
+            time = !previous ? end : base === '<' ? previous.start : previous.start + length;
+        } else if (this.labels.has(base)) {
+            time = this.labels.get(base);
+        } else if (Number.isFinite(Number(base))) {
+            time = Number(base);
+        } else {
+            // Unknown labels are created at the end
+            this.labels.set(base, end);
+            time = end;
+        }
+
+        return Math.max(0, time + offset);
+    }
+
+    /**
+     * Render the children at a time within one iteration
+     * @param {number} local - Time in ms
+     * @param {boolean} backwards - Whether the playhead moved backwards
+     */
+    _render(local, backwards) {
+        const previous = this.lastLocal;
+        this.lastLocal = local;
+
+        // Backwards, later children render first so earlier ones end up on top of shared properties
+        const children = backwards ? this.children.slice().reverse() : this.children.slice();
+
+        children.forEach(child => {
+            if (child.callback) {
+                if (!backwards && (previous === null || previous < child.start) && local >= child.start) {
+                    try {
+                        child.callback(this);
+                    } catch (error) {
+                        console.error('Timeline callback failed:', error);
+                    }
+                }
+                return;
+            }
+
+            const { animation, start } = child;
+            animation.seek(local - start);
+        });
+    }
+}
@@ -0,0 +1,281 @@
+/**
+ * Tween animates numbers on plain objects, CSS properties and transforms of elements.
+ * Start values are read when the tween first renders past its start, so tweens sequenced in a timeline
+ * continue from where the previous one left off.
+ *
+ * openScroll.tween('.card', { y: 40, opacity: 0, duration: 600, ease: 'easeOutCubic', stagger: 80 });
+ */
+class Tween extends Playback {
+    /**
+     * Transform components, written together into style.transform
+     * @returns {Object<string, {unit: string, initial: number}>}
+     */
+    static get TRANSFORMS() {
+        return {
+            x: { unit: 'px', initial: 0 },
+            y: { unit: 'px', initial: 0 },
+            z: { unit: 'px', initial: 0 },
+            rotate: { unit: 'deg', initial: 0 },
+            rotateX: { unit: 'deg', initial: 0 },
+            rotateY: { unit: 'deg', initial: 0 },
+            skewX: { unit: 'deg', initial: 0 },
+            skewY: { unit: 'deg', initial: 0 },
+            scale: { unit: '', initial: 1 },
+            scaleX: { unit: '', initial: 1 },
+            scaleY: { unit: '', initial: 1 }
+        };
+    }
+
+    /**
+     * Options that are not animated properties
+     * @returns {string[]}
+     */
+    static get RESERVED() {
+        return [
+            'duration', 'delay', 'ease', 'stagger', 'repeat', 'yoyo', 'paused', 'from',
+            'onStart', 'onUpdate', 'onComplete', 'onReverseComplete'
+        ];
+    }
+
+    /**
+     * CSS properties taking plain numbers
+     * @returns {string[]}
+     */
+    static get UNITLESS() {
+        return ['opacity', 'zIndex', 'fontWeight', 'lineHeight', 'flexGrow', 'flexShrink', 'order'];
+    }
+
+    /**
+     * @param {*} targets - Element, selector, list of elements, plain object or array of objects
+     * @param {Object} vars - End values plus options
+     * @param {number} [vars.duration=500] - Duration of one target in ms
+     * @param {string|Function} [vars.ease='easeOutQuad'] - Any easing understood by Easings.get()
+     * @param {number|Object} [vars.stagger=0] - Delay between targets in ms, or { each, from: 'start'|'end'|'center'|index }
+     * @param {Object} [vars.from] - Start values, the current values are used otherwise
+     * @param {OpenScroll} [core] - OpenScroll instance whose ticker drives the tween
+     */
+    constructor(targets, vars = {}, core = null) {
+        super(vars, core);
+
+        this.targets = Tween.resolveTargets(targets);
+        this.baseDuration = vars.duration ?? 500;
+
+        this.ease = Easings.get(vars.ease ?? 'easeOutQuad');
+        if (!this.ease) {
+            throw new Error(`Unknown easing ${vars.ease}`);
+        }
+
+        const from = vars.from || {};
+        this.properties = Array.from(new Set([
+            ...Object.keys(vars).filter(key => !Tween.RESERVED.includes(key)),
+            ...Object.keys(from)
+        ]));
+
+        this.offsets = this._staggerOffsets(vars.stagger);
+
+        // Per target list of { property, from, to, unit }, created on the first render
+        this.tracks = null;
+    }
+
+    /**
+     * Turn the targets argument into an array
+     * @param {*} targets - Element, selector, NodeList, array or plain object
+     * @returns {Array} - The targets
+     */
+    static resolveTargets(targets) {
+        if (typeof targets === 'string') {
+            return Array.from(document.querySelectorAll(targets));
+        }
+        if (Array.isArray(targets)) {
+            return targets;
+        }
+        if (targets && typeof targets.length === 'number' && typeof targets !== 'function' && !Tween.isElement(targets)) {
+            return Array.from(targets);
+        }
+        return targets ? [targets] : [];
+    }
+
+    static isElement(target) {
+        return typeof Element !== 'undefined' && target instanceof Element;
+    }
+
+    /**
+     * Transform values of an element written by tweens, shared by every tween on that element
+     * @param {HTMLElement} element - The element
+     * @returns {{values: Object, units: Object}}
+     */
+    static getTransform(element) {
+        if (!Tween._transforms) {
+            Tween._transforms = new WeakMap();
+        }
+        if (!Tween._transforms.has(element)) {
+            Tween._transforms.set(element, { values: {}, units: {} });
+        }
+        return Tween._transforms.get(element);
+    }
+
+    /**
+     * Build a transform string from transform values
+     * @param {{values: Object, units: Object}} transform - Values and units by component
+     * @returns {string}
+     */
+    static buildTransform({ values, units }) {
+        const value = key => `${values[key] ?? Tween.TRANSFORMS[key].initial}${units[key] ?? Tween.TRANSFORMS[key].unit}`;
+        const parts = [`translate3d(${value('x')}, ${value('y')}, ${value('z')})`];
+
+        ['rotate', 'rotateX', 'rotateY', 'skewX', 'skewY'].forEach(key => {
+            if (values[key]) parts.push(`${key}(${value(key)})`);
+        });
+
+        const scale = values.scale ?? 1;
+        const scaleX = (values.scaleX ?? 1) * scale;
+        const scaleY = (values.scaleY ?? 1) * scale;
+        if (scaleX !== 1 || scaleY !== 1) {
+            parts.push(`scale(${scaleX}, ${scaleY})`);
+        }
+
+        return parts.join(' ');
+    }
+
+    /**
+     * Parse a value like 10, '50%', '+=20px'
+     * @param {number|string} value - The value
+     * @returns {{number: number, unit: string, relative: number}|null} - relative is 1, -1 or 0
+     */
+    static parseValue(value) {
+        if (typeof value === 'number') {
+            return { number: value, unit: null, relative: 0 };
+        }
+
+        const match = String(value).trim().match(/^([+-]=)?(-?[\d.]+(?:e-?\d+)?)([a-z%]*)$/i);
+        if (!match) return null;
+
+        return {
+            number: parseFloat(match[2]),
+            unit: match[3] || null,
+            relative: match[1] ? (match[1] === '+=' ? 1 : -1) : 0
+        };
+    }
+
+    get duration() {
+        return this.baseDuration + Math.max(0, ...this.offsets);
+    }
+
+    /**
+     * Start offset of every target
+     * @param {number|Object} stagger - Delay between targets or { each, from }
+     * @returns {number[]}
+     */
+    _staggerOffsets(stagger) {
+        const count = this.targets.length;
+        const each = typeof stagger === 'object' && stagger !== null ? (stagger.each ?? 0) : (stagger || 0);
+        const from = typeof stagger === 'object' && stagger !== null ? (stagger.from ?? 'start') : 'start';
+
+        let origin = 0;
+        if (from === 'end') {
+            origin = count - 1;
+        } else if (from === 'center') {
+            origin = (count - 1) / 2;
+        } else if (typeof from === 'number') {
+            origin = from;
+        }
+
+        return this.targets.map((target, index) => Math.abs(index - origin) * each);
+    }
+
+    /**
+     * Read the start and end values of every target
+     */
+    _init() {
+        const from = this.vars.from || {};
+
+        this.tracks = this.targets.map((target, index) => this.properties.map(property => {
+            const resolve = value => typeof value === 'function' ? value(index, target) : value;
+            const current = this._read(target, property);
+
+            const end = property in this.vars && !Tween.RESERVED.includes(property)
+                ? Tween.parseValue(resolve(this.vars[property]))
+                : current;
+            const start = property in from ? Tween.parseValue(resolve(from[property])) : current;
+
+            if (!end || !start) {
+                console.warn(`Tween: cannot animate ${property}, only numeric values are supported`);
+                return null;
+            }
+
+            const unit = end.unit ?? start.unit ?? current.unit ?? this._defaultUnit(target, property);
+            const startNumber = start.relative ? current.number + start.relative * start.number : start.number;
+            const endNumber = end.relative ? startNumber + end.relative * end.number : end.number;
+
+            return { property, from: startNumber, to: endNumber, unit };
+        }).filter(Boolean));
+    }
+
+    /**
+     * Read the current value of a property
+     * @param {*} target - Element or object
+     * @param {string} property - Property name
+     * @returns {{number: number, unit: string|null, relative: number}}
+     */
+    _read(target, property) {
+        if (!Tween.isElement(target)) {
+            return { number: Number(target[property]) || 0, unit: null, relative: 0 };
+        }
+
+        if (property in Tween.TRANSFORMS) {
+            const { values, units } = Tween.getTransform(target);
+            return {
+                number: values[property] ?? Tween.TRANSFORMS[property].initial,
+                unit: units[property] ?? null,
+                relative: 0
+            };
+        }
+
+        const inline = target.style[property];
+        const value = inline !== '' && inline !== undefined ? inline : getComputedStyle(target)[property];
+        return Tween.parseValue(value) || { number: 0, unit: null, relative: 0 };
+    }
+
+    _defaultUnit(target, property) {
+        if (!Tween.isElement(target)) return '';
+        if (property in Tween.TRANSFORMS) return Tween.TRANSFORMS[property].unit;
+        return Tween.UNITLESS.includes(property) ? '' : 'px';
+    }
+
+    /**
+     * Render a time within one iteration on every target
+     * @param {number} local - Time in ms
+     */
+    _render(local) {
+        if (!this.tracks) {
+            // Wait for the playhead to pass the start, unless start values were given
+            if (local === 0 && this.duration > 0 && !this.vars.from) return;
+            this._init();
+        }
+
+        this.targets.forEach((target, index) => {
+            const elapsed = Math.min(Math.max(local - this.offsets[index], 0), this.baseDuration);
+            const eased = this.ease(this.baseDuration > 0 ? elapsed / this.baseDuration : 1);
+            const isElement = Tween.isElement(target);
+            let transform = null;
+
+            this.tracks[index].forEach(({ property, from, to, unit }) => {
+                const value = from + (to - from) * eased;
+
+                if (!isElement) {
+                    target[property] = value;
+                } else if (property in Tween.TRANSFORMS) {
+                    transform = transform || Tween.getTransform(target);
+                    transform.values[property] = value;
+                    transform.units[property] = unit;
+                } else {
+                    target.style[property] = `${value}${unit}`;
+                }
+            });
+
+            if (transform) {
+                target.style.transform = Tween.buildTransform(transform);
+            }
+        });
+    }
+}
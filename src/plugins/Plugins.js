@@ -1,6 +1,147 @@
 /**
- * Use for debug
+ * Registry of the plugins OpenScroll can start by name.
+ * Names are stored lowercase so 'Parallax' and 'parallax' resolve to the same entry,
+ * and lookups never depend on constructor.name (which minifiers rename).
  */
 class Plugins {
+    constructor() {
+        // name -> { name, constructor, version, description, aliases }
+        this.entries = new Map();
 
-}
\ No newline at end of file
+        // alias -> name
+        this.aliases = new Map();
+    }
+
+    /**
+     * Normalize a plugin name or alias
+     * @param {string} name - Name to normalize
+     * @returns {string} - Normalized name
+     */
+    normalize(name) {
+        return String(name).trim().toLowerCase();
+    }
+
+    /**
+     * Register a plugin constructor under a stable name
+     * @param {string} name - Name used by OpenScroll.start()
+     * @param {Function} PluginClass - The plugin constructor
+     * @param {Object} [meta] - Plugin metadata
+     * @param {string} [meta.version='0.0.0'] - Plugin version
+     * @param {string} [meta.description=''] - Short description
+     * @param {string[]} [meta.aliases=[]] - Alternative names
+     * @returns {Object} - The registry entry
+     */
+    register(name, PluginClass, meta = {}) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            throw new Error('Plugin name must be a non-empty string');
+        }
+        if (typeof PluginClass !== 'function') {
+            throw new Error(`Plugin ${name} must be a constructor function`);
+        }
+
+        const key = this.normalize(name);
+        if (this.aliases.has(key)) {
+            throw new Error(`Plugin name ${name} is already used as an alias of ${this.aliases.get(key)}`);
+        }
+
+        // Re-registering replaces the previous entry and its aliases
+        if (this.entries.has(key)) {
+            this.unregister(key);
+        }
+
+        const entry = {
+            name: key,
+            constructor: PluginClass,
+            version: meta.version || '0.0.0',
+            description: meta.description || '',
+            aliases: []
+        };
+        this.entries.set(key, entry);
+
+        (meta.aliases || []).forEach(alias => this.alias(alias, key));
+
+        return entry;
+    }
+
+    /**
+     * Remove a plugin and its aliases from the registry
+     * @param {string} name - Plugin name or alias
+     * @returns {boolean} - True if a plugin was removed
+     */
+    unregister(name) {
+        const entry = this.get(name);
+        if (!entry) return false;
+
+        entry.aliases.forEach(alias => this.aliases.delete(alias));
+        this.entries.delete(entry.name);
+        return true;
+    }
+
+    /**
+     * Add an alternative name for a registered plugin
+     * @param {string} alias - The alternative name
+     * @param {string} name - Name of the registered plugin
+     */
+    alias(alias, name) {
+        const entry = this.get(name);
+        if (!entry) {
+            throw new Error(`Cannot alias ${alias}: plugin ${name} is not registered`);
+        }
+
+        const key = this.normalize(alias);
+        if (key === entry.name) return;
+        if (this.entries.has(key)) {
+            throw new Error(`Alias ${alias} is already a registered plugin name`);
+        }
+
+        // Move the alias if it pointed to another plugin before
+        const previous = this.entries.get(this.aliases.get(key));
+        if (previous) {
+            previous.aliases = previous.aliases.filter(a => a !== key);
+        }
+
+        this.aliases.set(key, entry.name);
+        entry.aliases.push(key);
+    }
+
+    /**
+     * Get a registry entry by name, alias or constructor
+     * @param {string|Function} nameOrClass - Plugin name, alias or constructor
+     * @returns {Object|null} - The registry entry or null if not found
+     */
+    get(nameOrClass) {
+        if (typeof nameOrClass === 'function') {
+            for (const entry of this.entries.values()) {
+                if (entry.constructor === nameOrClass) {
+                    return entry;
+                }
+            }
+            return null;
+        }
+
+        if (typeof nameOrClass !== 'string') return null;
+
+        const key = this.normalize(nameOrClass);
+        return this.entries.get(key) || this.entries.get(this.aliases.get(key)) || null;
+    }
+
+    /**
+     * Check if a plugin is registered
+     * @param {string|Function} nameOrClass - Plugin name, alias or constructor
+     * @returns {boolean} - True if registered
+     */
+    has(nameOrClass) {
+        return this.get(nameOrClass) !== null;
+    }
+
+    /**
+     * List all registered plugins
+     * @returns {Object[]} - Copies of the registry entries
+     */
+    list() {
+        return Array.from(this.entries.values(), entry => ({
+            ...entry,
+            aliases: [...entry.aliases]
+        }));
+    }
+}
@@ -0,0 +1,328 @@
+/**
+ * Horizontal
+ * V1.0.0
+ *
+ * Horizontal section: pins a section and maps the vertical scroll onto a sideways translation of its track.
+ * The pin distance is the overflow of the track, so the section takes exactly as much vertical scroll as the
+ * track is wider than the section.
+ *
+ * <section class="gallery">
+ *     <div data-horizontal-track>
+ *         <article>...</article> <article>...</article>
+ *     </div>
+ * </section>
+ */
+class Horizontal {
+    /**
+     * Constructor for the Horizontal class
+     * @param {Object} options - Configuration options
+     * @param {HTMLElement|string} [options.section] - Section to pin (defaults to options.element)
+     * @param {HTMLElement|string} [options.track='[data-horizontal-track]'] - Element moved sideways, inside the section; its first child otherwise
+     * @param {string} [options.panels] - Selector of the panels inside the track, its children by default
+     * @param {boolean} [options.snap=false] - Settle on the nearest panel once scrolling stops
+     * @param {number} [options.snapDelay=150] - Time without scrolling before snapping, in ms
+     * @param {number} [options.snapDuration=500] - Duration of the snap animation with Smoothscroller, in ms
+     * @param {Function} [options.onUpdate] - Called with the instance when the progress changes
+     * @param {Function} [options.onPanelChange] - Called with the instance when the active panel changes
+     * @param {OpenScroll} [core] - OpenScroll instance, shared with the pin
+     */
+    constructor(options = {}, core = null) {
+        this.core = core || new OpenScroll();
+
+        this.options = {
+            section: null,
+            element: null,
+            track: '[data-horizontal-track]',
+            panels: null,
+            snap: false,
+            snapDelay: 150,
+            snapDuration: 500,
+            debug: false,
+            ...options
+        };
+
+        this.section = this._resolveElement(this.options.section || this.options.element);
+        this.track = null;
+        this.panels = []; // { element, left, width, progress }
+
+        this.distance = 0;
+        this.progress = 0;
+        this.activeIndex = -1;
+        this.paused = false;
+        this.environmentMode = this.core.environment.mode;
+
+        this.pin = null;
+        this.unsubscribeScroll = null;
+        this.snapTimer = null;
+
+        this.handlePinUpdate = this.handlePinUpdate.bind(this);
+        this.handleScroll = this.handleScroll.bind(this);
+
+        this.init();
+    }
+
+    _resolveElement(element, root = document) {
+        if (typeof element === 'string') {
+            return root.querySelector(element);
+        }
+        return element || null;
+    }
+
+    _emit(event, data = {}) {
+        this.core.emit(event, { instance: this, ...data });
+    }
+
+    init() {
+        if (!this.section) {
+            this._emit('error', { message: 'Horizontal: section not found', data: this.options.section });
+            return;
+        }
+
+        this.track = this._resolveElement(this.options.track, this.section) || this.section.firstElementChild;
+        if (!this.track) {
+            this._emit('error', { message: 'Horizontal: track not found', data: this.options.track });
+            return;
+        }
+
+        // The pin belongs to the section, so it is not registered on the core where stop('pin') would reach it
+        const entry = OpenScroll.getPlugin('pin');
+        if (!entry) {
+            this._emit('error', { message: 'Horizontal: the pin plugin is not registered' });
+            return;
+        }
+
+        // The pin measures the track overflow on every refresh, resizes included
+        this.pin = new entry.constructor({
+            pin: this.section,
+            start: 'top top',
+            distance: () => this.measure(),
+            onUpdate: this.handlePinUpdate
+        }, this.core);
+
+        if (this.options.snap) {
+            this.unsubscribeScroll = this.core.scroll.subscribe(this.handleScroll);
+        }
+
+        this.handlePinUpdate(this.pin);
+    }
+
+    /**
+     * Measure the track and its panels
+     * @returns {number} - Horizontal overflow of the track in pixels, used as pin distance
+     */
+    measure() {
+        const trackRect = this.track.getBoundingClientRect();
+        const elements = this.options.panels
+            ? Array.from(this.track.querySelectorAll(this.options.panels))
+            : Array.from(this.track.children);
+
+        // Both rects include the current translation, so the difference does not
+        this.panels = elements.map(element => {
+            const rect = element.getBoundingClientRect();
+            return { element, left: rect.left - trackRect.left, width: rect.width, progress: 0 };
+        });
+
+        this.distance = Math.max(this.track.scrollWidth - this.section.clientWidth, 0);
+
+        if (this.options.debug) {
+            console.log(`Horizontal: ${this.panels.length} panels, ${this.distance}px overflow`);
+        }
+
+        return this.distance;
+    }
+
+    /**
+     * Move the track for the pin progress
+     * @param {Pin} pin - The pin of the section
+     */
+    handlePinUpdate(pin) {
+        if (this.paused || !this.track || this.environmentMode === 'disabled') return;
+
+        const x = pin.progress * this.distance;
+        this.track.style.transform = `translate3d(${-x}px, 0, 0)`;
+        this.progress = pin.progress;
+
+        this.updatePanels(x);
+        this.call('onUpdate');
+    }
+
+    /**
+     * Per-panel progress: 0 when the panel enters on the right, 1 when it has left on the left
+     * @param {number} x - Current translation of the track
+     */
+    updatePanels(x) {
+        const viewport = this.section.clientWidth;
+        const center = x + viewport / 2;
+        let activeIndex = -1;
+        let closest = Infinity;
+
+        this.panels.forEach((panel, index) => {
+            const travelled = x + viewport - panel.left;
+            panel.progress = Math.min(Math.max(travelled / (panel.width + viewport), 0), 1);
+
+            const distance = Math.abs(panel.left + panel.width / 2 - center);
+            if (distance < closest) {
+                closest = distance;
+                activeIndex = index;
+            }
+        });
+
+        if (activeIndex !== this.activeIndex) {
+            this.activeIndex = activeIndex;
+            this.call('onPanelChange');
+            this._emit('horizontal:panel', { index: activeIndex, panel: this.panels[activeIndex] });
+        }
+    }
+
+    /**
+     * Schedule a snap once scrolling stops inside the section
+     * @param {Object} scrollState - State from the core scroll driver
+     */
+    handleScroll(scrollState) {
+        this.core.clock.clearTimeout(this.snapTimer);
+
+        const { pin } = this;
+        if (this.paused || this.environmentMode === 'disabled' || !pin || !pin.isPinned || scrollState.velocity !== 0) return;
+
+        this.snapTimer = this.core.clock.setTimeout(() => this.snap(), this.options.snapDelay);
+    }
+
+    /**
+     * Scroll to the panel closest to the current position
+     */
+    snap() {
+        const { pin } = this;
+        const panel = this.panels[this.activeIndex];
+        if (!pin || !panel) return;
+
+        // Align the panel with the left edge, without going past the end of the track
+        const target = pin.start + Math.min(panel.left, this.distance);
+        const current = this.core.scroll.read().y;
+        if (Math.abs(target - current) < 1) return;
+
+        // Without motion the snap jumps
+        const reduced = this.environmentMode === 'reduced';
+        const provider = this.core.scroll.provider;
+        if (provider && typeof provider.scrollTo === 'function') {
+            provider.scrollTo(target, { duration: reduced ? 0 : this.options.snapDuration });
+        } else {
+            window.scrollTo({ top: target, behavior: reduced ? 'auto' : 'smooth' });
+        }
+
+        this._emit('horizontal:snap', { index: this.activeIndex, position: target });
+    }
+
+    /**
+     * Scroll to a panel
+     * @param {number} index - Panel index
+     */
+    scrollToPanel(index) {
+        const { pin } = this;
+        const panel = this.panels[index];
+        if (!pin || !panel) return;
+
+        this.activeIndex = index;
+        this.snap();
+    }
+
+    call(name) {
+        if (typeof this.options[name] === 'function') {
+            try {
+                this.options[name](this);
+            } catch (error) {
+                console.error(`Horizontal ${name} failed:`, error);
+                this._emit('error', { message: `Horizontal ${name} failed`, error });
+            }
+        }
+    }
+
+    /**
+     * Follow the environment, called by the core, and pass it on to the pin.
+     * While 'disabled' the track is back at its start, e.g. for printing.
+     * @param {string} mode - 'full', 'reduced' or 'disabled'
+     */
+    setMode(mode) {
+        if (this.pin) {
+            this.pin.setMode(mode);
+        }
+        if (mode === this.environmentMode) return;
+
+        this.environmentMode = mode;
+        this.core.clock.clearTimeout(this.snapTimer);
+
+        if (mode === 'disabled') {
+            if (this.track) {
+                this.track.style.transform = '';
+            }
+        } else if (this.pin) {
+            this.handlePinUpdate(this.pin);
+        }
+    }
+
+    pause() {
+        if (this.paused) return;
+
+        this.paused = true;
+        this.core.clock.clearTimeout(this.snapTimer);
+        if (this.pin) {
+            this.pin.pause();
+        }
+    }
+
+    resume() {
+        if (!this.paused) return;
+
+        this.paused = false;
+        if (this.pin) {
+            this.pin.resume();
+            this.handlePinUpdate(this.pin);
+        }
+    }
+
+    isPaused() {
+        return this.paused;
+    }
+
+    refresh() {
+        if (this.pin) {
+            this.pin.refresh();
+        }
+    }
+
+    getDebugInfo() {
+        return {
+            distance: this.distance,
+            progress: this.progress,
+            activeIndex: this.activeIndex,
+            panels: this.panels.length
+        };
+    }
+
+    destroy() {
+        this.core.clock.clearTimeout(this.snapTimer);
+
+        if (this.unsubscribeScroll) {
+            this.unsubscribeScroll();
+            this.unsubscribeScroll = null;
+        }
+
+        if (this.pin) {
+            this.pin.destroy();
+            this.pin = null;
+        }
+
+        if (this.track) {
+            this.track.style.transform = '';
+        }
+
+        this.paused = false;
+        this.panels = [];
+        this.track = null;
+    }
+}
+
+OpenScroll.register('horizontal', Horizontal, {
+    version: '1.0.0',
+    description: 'Pinned section whose track moves sideways with the vertical scroll',
+    aliases: ['horizontal-section']
+});
@@ -0,0 +1,321 @@
+/**
+ * Inspector
+ * V1.0.0
+ *
+ * Opt-in debug overlay: lists the registered plugins and the running instances of the core it is started on,
+ * with live FPS and frame time. Instances exposing getDebugInfo() get their details shown, and parallax
+ * elements are outlined with their speed, direction and current transform.
+ */
+class Inspector {
+    /**
+     * Constructor for the Inspector class
+     * @param {Object} options - Configuration options
+     * @param {string} [options.position='top-right'] - Corner of the panel: top-left, top-right, bottom-left, bottom-right
+     * @param {boolean} [options.outlines=true] - Outline parallax elements with their values
+     * @param {number} [options.updateInterval=250] - Time between panel updates in ms
+     * @param {number} [options.zIndex=2147483647] - z-index of the overlay
+     * @param {OpenScroll} [core] - OpenScroll instance to inspect
+     */
+    constructor(options = {}, core = null) {
+        this.core = core || new OpenScroll();
+
+        this.config = {
+            position: options.position ?? 'top-right',
+            outlines: options.outlines ?? true,
+            updateInterval: options.updateInterval ?? 250,
+            zIndex: options.zIndex ?? 2147483647
+        };
+
+        // DOM elements
+        this.panel = null;
+        this.labelLayer = null;
+        this.labels = new Map(); // element -> label
+        this.outlined = new Map(); // element -> original outline
+
+        // Frame statistics
+        this.stats = { fps: 0, frameTime: 0 };
+        this.frames = 0;
+        this.frameTimeTotal = 0;
+        this.lastRender = null;
+
+        this.removeTick = null;
+        this.paused = false;
+
+        this.update = this.update.bind(this);
+
+        this.init();
+    }
+
+    /**
+     * Create the overlay and start measuring
+     */
+    init() {
+        const [vertical, horizontal] = this.config.position.split('-');
+
+        this.panel = document.createElement('pre');
+        this.panel.className = 'openscroll-inspector';
+        this.panel.setAttribute('aria-hidden', 'true');
+        this.panel.style.cssText = `
+            position: fixed;
+            ${vertical === 'bottom' ? 'bottom' : 'top'}: 8px;
+            ${horizontal === 'left' ? 'left' : 'right'}: 8px;
+            z-index: ${this.config.zIndex};
+            margin: 0;
+            padding: 8px 10px;
+            max-height: 60vh;
+            overflow: auto;
+            background: rgba(20, 20, 20, 0.85);
+            color: #e8e8e8;
+            font: 11px/1.4 monospace;
+            border-radius: 4px;
+            pointer-events: auto;
+        `;
+
+        this.labelLayer = document.createElement('div');
+        this.labelLayer.className = 'openscroll-inspector-labels';
+        this.labelLayer.setAttribute('aria-hidden', 'true');
+        this.labelLayer.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 0;
+            height: 0;
+            z-index: ${this.config.zIndex - 1};
+            pointer-events: none;
+        `;
+
+        document.body.appendChild(this.labelLayer);
+        document.body.appendChild(this.panel);
+
+        this.start();
+    }
+
+    /**
+     * Start measuring frames and updating the overlay
+     */
+    start() {
+        if (this.removeTick) return;
+
+        this.lastRender = null;
+        this.removeTick = this.core.ticker.add(this.update);
+    }
+
+    /**
+     * Stop updating the overlay
+     */
+    stop() {
+        if (this.removeTick) {
+            this.removeTick();
+            this.removeTick = null;
+        }
+    }
+
+    /**
+     * Frame callback: collect statistics and render every updateInterval ms
+     * @param {number} time - Frame timestamp in ms
+     * @param {number} deltaTime - Time since the last frame in ms
+     */
+    update(time, deltaTime) {
+        this.frames++;
+        this.frameTimeTotal += deltaTime;
+
+        if (this.lastRender === null) {
+            this.lastRender = time;
+            this.frames = 0;
+            this.frameTimeTotal = 0;
+            return;
+        }
+
+        const elapsed = time - this.lastRender;
+        if (elapsed < this.config.updateInterval) return;
+
+        this.stats.fps = Math.round((this.frames * 1000) / elapsed);
+        this.stats.frameTime = this.frameTimeTotal / this.frames;
+        this.frames = 0;
+        this.frameTimeTotal = 0;
+        this.lastRender = time;
+
+        this.render();
+    }
+
+    /**
+     * Collect the debug info of every other running instance
+     * @returns {Object[]} - Handles with their debug info
+     */
+    collect() {
+        const entries = [];
+
+        this.core.getAllInstances().forEach(handles => {
+            handles.forEach(handle => {
+                if (handle.instance === this) return;
+
+                const info = typeof handle.instance.getDebugInfo === 'function'
+                    ? handle.instance.getDebugInfo()
+                    : null;
+                const paused = typeof handle.instance.isPaused === 'function' && handle.instance.isPaused();
+
+                entries.push({ handle, info, paused });
+            });
+        });
+
+        return entries;
+    }
+
+    /**
+     * Update the panel text and the element outlines
+     */
+    render() {
+        const entries = this.collect();
+        const scroll = this.core.scroll.getState();
+        const lines = [
+            `OpenScroll inspector`,
+            `${this.stats.fps} fps  ${this.stats.frameTime.toFixed(1)} ms/frame`,
+            `scroll ${scroll.y.toFixed(1)}px  ${Math.round(scroll.velocity)}px/s`,
+            '',
+            'Plugins:',
+            ...OpenScroll.listPlugins().map(plugin => `  ${plugin.name} v${plugin.version}`),
+            '',
+            `Instances (${entries.length}):`
+        ];
+
+        const outlinedNow = new Set();
+
+        entries.forEach(({ handle, info, paused }) => {
+            const name = handle.name !== handle.id ? ` "${handle.name}"` : '';
+            lines.push(`  ${handle.id}${name}${paused ? ' [paused]' : ''}`);
+
+            if (!info) return;
+
+            if (handle.type === 'smoothscroller') {
+                const [current, target] = info.axis === 'x'
+                    ? [info.currentScrollX, info.targetScrollX]
+                    : [info.currentScroll, info.targetScroll];
+                lines.push(`    ${info.mode}  current ${current.toFixed(1)}  target ${target.toFixed(1)}`);
+                if (info.currentAnimation) {
+                    lines.push(`    animating to ${info.currentAnimation.to} (${info.currentAnimation.easing})`);
+                }
+                lines.push(`    queue ${info.queue.length}${info.queue.map(item => ` -> ${item.to}`).join('')}`);
+            } else if (handle.type === 'parallax') {
+                lines.push(`    visible ${info.visibleElementsCount}/${info.elementsCount}  frames ${info.frameCount}`);
+            } else {
+                Object.keys(info).forEach(key => {
+                    const value = info[key];
+                    if (value === null || typeof value !== 'object') {
+                        lines.push(`    ${key}: ${value}`);
+                    }
+                });
+            }
+
+            if (this.config.outlines && Array.isArray(info.elements)) {
+                info.elements.forEach(item => {
+                    this.outline(item);
+                    outlinedNow.add(item.element);
+                });
+            }
+        });
+
+        this.panel.textContent = lines.join('\n');
+
+        // Forget elements that are no longer part of an instance
+        Array.from(this.outlined.keys())
+            .filter(element => !outlinedNow.has(element))
+            .forEach(element => this.removeOutline(element));
+    }
+
+    /**
+     * Outline an element and label it with its values
+     * @param {Object} item - Element debug info ({ element, speed, direction, transform, isVisible })
+     */
+    outline(item) {
+        const { element } = item;
+
+        if (!this.outlined.has(element)) {
+            this.outlined.set(element, element.style.outline);
+            element.style.outline = '1px dashed #ff3cac';
+        }
+
+        let label = this.labels.get(element);
+        if (!label) {
+            label = document.createElement('div');
+            label.style.cssText = `
+                position: absolute;
+                padding: 1px 4px;
+                background: #ff3cac;
+                color: #fff;
+                font: 10px/1.4 monospace;
+                white-space: nowrap;
+            `;
+            this.labelLayer.appendChild(label);
+            this.labels.set(element, label);
+        }
+
+        const rect = element.getBoundingClientRect();
+        const transform = item.transform || { x: 0, y: 0 };
+
+        label.style.display = item.isVisible === false ? 'none' : '';
+        label.style.transform = `translate(${Math.round(rect.left)}px, ${Math.round(rect.top)}px)`;
+        label.textContent = `speed ${item.speed}  ${item.direction}  ${transform.x.toFixed(1)}, ${transform.y.toFixed(1)}`;
+    }
+
+    /**
+     * Restore an outlined element and remove its label
+     * @param {HTMLElement} element - The element
+     */
+    removeOutline(element) {
+        if (this.outlined.has(element)) {
+            element.style.outline = this.outlined.get(element);
+            this.outlined.delete(element);
+        }
+
+        const label = this.labels.get(element);
+        if (label) {
+            label.remove();
+            this.labels.delete(element);
+        }
+    }
+
+    pause() {
+        if (this.paused) return;
+
+        this.paused = true;
+        this.stop();
+    }
+
+    resume() {
+        if (!this.paused) return;
+
+        this.paused = false;
+        this.start();
+    }
+
+    isPaused() {
+        return this.paused;
+    }
+
+    refresh() {
+        this.render();
+    }
+
+    /**
+     * Remove the overlay and every outline
+     */
+    destroy() {
+        this.stop();
+        this.paused = false;
+
+        Array.from(this.outlined.keys()).forEach(element => this.removeOutline(element));
+
+        [this.panel, this.labelLayer].forEach(element => {
+            if (element) {
+                element.remove();
+            }
+        });
+        this.panel = null;
+        this.labelLayer = null;
+    }
+}
+
+OpenScroll.register('inspector', Inspector, {
+    version: '1.0.0',
+    description: 'Debug overlay with running instances, FPS and parallax element values'
+});
@@ -3,9 +3,13 @@
  * V1.0.0
  */
 class Parallax {
-    constructor(options = {}) {
+    constructor(options = {}, core = null) {
+        // Shared ticker and scroll driver, so we follow Smoothscroller when it runs
+        this.core = core || new OpenScroll();
+
         this.options = {
             selector: '[data-parallax]',
+            element: null, // Limit the effect to this element (or its [data-parallax] descendants)
             speed: 0.5,
             direction: 'vertical', // 'vertical', 'horizontal', or 'both'
             offset: 0,
@@ -17,7 +21,7 @@ class Parallax {
             rootMargin: '50px',
             maxTransform: 500,
             containTransforms: true,
-            enableRAF: true, // Allow disabling RAF for testing
+            enableRAF: true, // Set to false to call animate() yourself; tests can use a ManualClock instead
             enableGPUAcceleration: true,
             ...options
         };
@@ -25,18 +29,21 @@ class Parallax {
         // State management
         this.state = {
             isRunning: false,
+            isPaused: false,
             isScrolling: false,
             frameCount: 0,
             lastScrollY: 0,
             lastScrollX: 0,
             currentScrollY: 0,
-            currentScrollX: 0
+            currentScrollX: 0,
+            environmentMode: this.core.environment.mode // Parallax only moves in 'full'
         };
 
         // Collections and references
         this.elements = new Map(); // Use Map for better performance
         this.visibleElements = new Set();
-        this.rafId = null;
+        this.removeTick = null;
+        this.unsubscribeScroll = null;
         this.observer = null;
         this.mutationObserver = null;
         this.resizeObserver = null;
@@ -47,7 +54,7 @@ class Parallax {
 
         // Bind methods once
         this.boundMethods = {
-            handleScroll: this.throttle(this.handleScroll.bind(this), 16),
+            handleScroll: this.handleScroll.bind(this),
             handleResize: this.debounce(this.handleResize.bind(this), 250),
             handleLoad: this.handleLoad.bind(this),
             animate: this.animate.bind(this)
@@ -67,8 +74,23 @@ class Parallax {
         }
     }
 
+    getTargetElements() {
+        const { element, selector } = this.options;
+
+        if (!element) {
+            return Array.from(document.querySelectorAll(selector));
+        }
+
+        // Scoped to one element: its matching descendants, or the element itself
+        const root = typeof element === 'string' ? document.querySelector(element) : element;
+        if (!root) return [];
+
+        const descendants = Array.from(root.querySelectorAll(selector));
+        return descendants.length > 0 ? descendants : [root];
+    }
+
     setupElements() {
-        const nodeList = document.querySelectorAll(this.options.selector);
+        const nodeList = this.getTargetElements();
 
         if (nodeList.length === 0) {
             if (this.options.debug) {
@@ -80,7 +102,7 @@ class Parallax {
         // Clear existing elements
         this.elements.clear();
 
-        Array.from(nodeList).forEach((el, index) => {
+        nodeList.forEach((el, index) => {
             try {
                 const item = this.createParallaxItem(el, index);
                 this.elements.set(el, item);
@@ -261,29 +283,31 @@ class Parallax {
     bindEvents() {
         const options = { passive: true };
 
-        window.addEventListener('scroll', this.boundMethods.handleScroll, options);
+        this.unsubscribeScroll = this.core.scroll.subscribe(this.boundMethods.handleScroll);
         window.addEventListener('resize', this.boundMethods.handleResize, options);
         window.addEventListener('load', this.boundMethods.handleLoad, options);
     }
 
-    handleScroll() {
-        this.state.currentScrollY = window.pageYOffset;
-        this.state.currentScrollX = window.pageXOffset;
+    handleScroll(scrollState) {
+        this.state.currentScrollY = scrollState.y;
+        this.state.currentScrollX = scrollState.x;
 
         this.state.isScrolling = true;
-        clearTimeout(this.scrollTimeout);
-        this.scrollTimeout = setTimeout(() => {
+        this.core.clock.clearTimeout(this.scrollTimeout);
+        this.scrollTimeout = this.core.clock.setTimeout(() => {
             this.state.isScrolling = false;
         }, 100);
     }
 
     handleResize() {
+        this.core.emit('resize', { instance: this });
         this.updateElementRects();
+        this.core.emit('refresh', { instance: this, elements: this.elements.size });
     }
 
     handleLoad() {
         // Use shorter timeout and ensure elements exist
-        setTimeout(() => {
+        this.core.clock.setTimeout(() => {
             if (this.elements.size > 0) {
                 this.updateElementRects();
             }
@@ -291,7 +315,7 @@ class Parallax {
     }
 
     updateElementRects() {
-        const now = Date.now();
+        const now = this.core.clock.now();
 
         this.elements.forEach((item) => {
             try {
@@ -411,23 +435,22 @@ class Parallax {
             element.style.transform = transformString;
             item.lastTransform = transform;
         });
-
-        if (this.options.enableRAF) {
-            this.rafId = requestAnimationFrame(this.boundMethods.animate);
-        }
     }
 
     start() {
-        if (this.state.isRunning) return;
+        if (this.state.isRunning || this.state.environmentMode !== 'full') return;
+
+        const scrollState = this.core.scroll.getState();
 
         this.state.isRunning = true;
-        this.state.currentScrollY = window.pageYOffset;
-        this.state.currentScrollX = window.pageXOffset;
+        this.state.currentScrollY = scrollState.y;
+        this.state.currentScrollX = scrollState.x;
         this.state.lastScrollY = this.state.currentScrollY;
         this.state.lastScrollX = this.state.currentScrollX;
 
         if (this.options.enableRAF) {
             this.animate();
+            this.removeTick = this.core.ticker.add(this.boundMethods.animate);
         }
 
         if (this.options.debug) {
@@ -438,9 +461,9 @@ class Parallax {
     stop() {
         this.state.isRunning = false;
 
-        if (this.rafId) {
-            cancelAnimationFrame(this.rafId);
-            this.rafId = null;
+        if (this.removeTick) {
+            this.removeTick();
+            this.removeTick = null;
         }
 
         if (this.options.debug) {
@@ -448,16 +471,66 @@ class Parallax {
         }
     }
 
+    // Lifecycle used by OpenScroll.pause/resume/refresh
+    pause() {
+        if (this.state.isPaused) return;
+
+        this.state.isPaused = true;
+        this.stop();
+    }
+
+    resume() {
+        if (!this.state.isPaused) return;
+
+        this.state.isPaused = false;
+        this.start();
+    }
+
+    isPaused() {
+        return this.state.isPaused;
+    }
+
+    // Called by OpenScroll when the environment changes: the effect is motion, so outside of 'full'
+    // the elements rest where the layout put them
+    setMode(mode) {
+        if (mode === this.state.environmentMode) return;
+
+        this.state.environmentMode = mode;
+
+        if (mode === 'full') {
+            if (!this.state.isPaused) {
+                this.start();
+            }
+            return;
+        }
+
+        this.stop();
+        this.elements.forEach((item) => {
+            item.element.style.transform = this.getRestTransform(item);
+            item.lastTransform = { x: item.initialTransform.x, y: item.initialTransform.y };
+        });
+    }
+
+    refresh() {
+        this.updateElementRects();
+        // Only announced on real refreshes, the periodic re-measures would make listeners measure every few frames
+        this.core.emit('refresh', { instance: this, elements: this.elements.size });
+    }
+
     destroy() {
         this.stop();
+        this.state.isPaused = false;
 
         // Clear all timers
-        clearTimeout(this.scrollTimeout);
-        this.debounceTimers.forEach((timer) => clearTimeout(timer));
+        this.core.clock.clearTimeout(this.scrollTimeout);
+        this.debounceTimers.forEach((timer) => this.core.clock.clearTimeout(timer));
         this.debounceTimers.clear();
 
         // Remove event listeners
-        window.removeEventListener('scroll', this.boundMethods.handleScroll);
+        if (this.unsubscribeScroll) {
+            this.unsubscribeScroll();
+            this.unsubscribeScroll = null;
+        }
         window.removeEventListener('resize', this.boundMethods.handleResize);
         window.removeEventListener('load', this.boundMethods.handleLoad);
 
@@ -484,26 +557,31 @@ class Parallax {
     }
 
     resetElementStyles(item) {
-        const { element, initialTransform } = item;
-        const transformString = this.options.enableGPUAcceleration
-            ? `translate3d(${initialTransform.x}px, ${initialTransform.y}px, ${initialTransform.z}px)`
-            : `translate(${initialTransform.x}px, ${initialTransform.y}px)`;
+        const { element } = item;
 
-        element.style.transform = transformString;
+        element.style.transform = this.getRestTransform(item);
         element.style.willChange = 'auto';
         element.style.position = '';
         element.style.zIndex = '';
     }
 
+    // Transform of an element without the effect
+    getRestTransform(item) {
+        const { initialTransform } = item;
+        return this.options.enableGPUAcceleration
+            ? `translate3d(${initialTransform.x}px, ${initialTransform.y}px, ${initialTransform.z}px)`
+            : `translate(${initialTransform.x}px, ${initialTransform.y}px)`;
+    }
+
     // Utility methods with improved implementations
     debounce(func, wait, key = 'default') {
         return (...args) => {
             const existingTimer = this.debounceTimers.get(key);
             if (existingTimer) {
-                clearTimeout(existingTimer);
+                this.core.clock.clearTimeout(existingTimer);
             }
 
-            const timer = setTimeout(() => {
+            const timer = this.core.clock.setTimeout(() => {
                 func.apply(this, args);
                 this.debounceTimers.delete(key);
             }, wait);
@@ -518,7 +596,7 @@ class Parallax {
             if (!inThrottle) {
                 func.apply(this, args);
                 inThrottle = true;
-                setTimeout(() => inThrottle = false, limit);
+                this.core.clock.setTimeout(() => inThrottle = false, limit);
             }
         };
     }
@@ -598,7 +676,7 @@ class Parallax {
         }
 
         // Re-setup elements if significant options changed
-        const significantOptions = ['selector', 'speed', 'direction', 'offset'];
+        const significantOptions = ['selector', 'element', 'speed', 'direction', 'offset'];
         const hasSignificantChanges = significantOptions.some(
             key => oldOptions[key] !== this.options[key]
         );
@@ -619,12 +697,26 @@ class Parallax {
             visibleElementsCount: this.visibleElements.size,
             frameCount: this.state.frameCount,
             isRunning: this.state.isRunning,
+            environmentMode: this.state.environmentMode,
             isScrolling: this.state.isScrolling,
             useIntersectionObserver: !!this.observer,
             memoryUsage: this.getMemoryUsage()
         };
     }
 
+    getDebugInfo() {
+        return {
+            ...this.getPerformanceStats(),
+            elements: Array.from(this.elements.values(), item => ({
+                element: item.element,
+                speed: item.speed,
+                direction: item.direction,
+                transform: { ...item.lastTransform },
+                isVisible: this.isElementVisible(item)
+            }))
+        };
+    }
+
     getMemoryUsage() {
         if (performance.memory) {
             return {
@@ -641,32 +733,22 @@ class Parallax {
             console.error(`Parallax Error: ${message}`, error);
         }
 
-        // Emit custom event for error handling
+        // Report through the core event bus
+        this.core.emit('error', { instance: this, message, error });
+
+        // Kept for listeners of the original DOM event
         window.dispatchEvent(new CustomEvent('parallax:error', {
             detail: { message, error }
         }));
     }
 
     // Static factory method
-    static create(options = {}) {
-        return new Parallax(options);
+    static create(options = {}, core = null) {
+        return new Parallax(options, core);
     }
 }
 
-// Auto-initialization with improved error handling
-document.addEventListener('DOMContentLoaded', () => {
-    try {
-        if (document.querySelector('[data-parallax]')) {
-            window.parallaxInstance = Parallax.create({
-                containTransforms: true,
-                maxTransform: 300,
-                smoothing: 0.05,
-                debug: false // Set to true for debugging
-            });
-        }
-    } catch (error) {
-        console.error('Failed to initialize parallax:', error);
-    }
-});
-
-window.Parallax = Parallax;
\ No newline at end of file
+OpenScroll.register('parallax', Parallax, {
+    version: '1.0.0',
+    description: 'Scroll-driven parallax transforms for [data-parallax] elements'
+});
\ No newline at end of file
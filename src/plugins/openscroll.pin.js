@@ -0,0 +1,349 @@
+/**
+ * Pin
+ * V1.0.0
+ *
+ * Holds an element in place for a scroll distance. A spacer takes the element's place in the flow and grows by
+ * that distance, so the content after it only moves on once the pin is released.
+ * With native scrolling the element is position: fixed while pinned. Under Smoothscroller, fixed positioning is
+ * relative to the transformed content, so the element is moved against the scroll with a transform instead.
+ */
+class Pin {
+    /**
+     * Constructor for the Pin class
+     * @param {Object} options - Configuration options
+     * @param {HTMLElement|string} [options.pin] - Element to pin (defaults to options.element)
+     * @param {string} [options.start='top top'] - Where pinning starts, see ScrollPositions
+     * @param {number|string|Function} [options.distance] - Scroll distance to stay pinned, in pixels or '+=N', or a function
+     *        returning it on every refresh; the viewport height by default
+     * @param {boolean} [options.pinSpacing=true] - Push the following content down by the distance
+     * @param {Function} [options.onUpdate] - Called with the pin when its progress changes
+     * @param {Function} [options.onToggle] - Called with the pin when it gets pinned or released
+     * @param {OpenScroll} [core] - OpenScroll instance providing the scroll driver
+     */
+    constructor(options = {}, core = null) {
+        this.core = core || new OpenScroll();
+
+        this.options = {
+            pin: null,
+            element: null,
+            start: 'top top',
+            distance: null,
+            pinSpacing: true,
+            debug: false,
+            ...options
+        };
+
+        this.element = this._resolveElement(this.options.pin || this.options.element);
+        this.spacer = null;
+        this.originalStyle = null;
+
+        // Range in scroll pixels, measured by refresh()
+        this.start = 0;
+        this.end = 0;
+        this.distance = 0;
+
+        // Live state
+        this.progress = 0;
+        this.state = null; // 'before', 'pinned' or 'after'
+        this.wasPinned = false;
+        this.mode = null; // 'fixed' or 'transform'
+        this.layout = null;
+        this.paused = false;
+        this.environmentMode = this.core.environment.mode; // Nothing is pinned while 'disabled'
+
+        this.unsubscribeScroll = null;
+        this.offResize = null;
+        this.resizeTimer = null;
+
+        this.handleScroll = this.handleScroll.bind(this);
+        this.handleResize = this.handleResize.bind(this);
+        this.handleCoreResize = this.handleCoreResize.bind(this);
+
+        this.init();
+    }
+
+    _resolveElement(element) {
+        if (typeof element === 'string') {
+            return document.querySelector(element);
+        }
+        return element || null;
+    }
+
+    /**
+     * A scroll provider (Smoothscroller) renders the content with transforms, where fixed positioning breaks
+     * @returns {string} - 'transform' or 'fixed'
+     */
+    _currentMode() {
+        return this.core.scroll.provider ? 'transform' : 'fixed';
+    }
+
+    _emit(event, data = {}) {
+        this.core.emit(event, { instance: this, ...data });
+    }
+
+    init() {
+        if (!this.element) {
+            this._emit('error', { message: 'Pin: element not found', data: this.options.pin });
+            return;
+        }
+
+        // Only the properties pinning writes, other inline styles are left to the page
+        this.originalStyle = {};
+        ['position', 'top', 'left', 'width', 'transform'].forEach((property) => {
+            this.originalStyle[property] = this.element.style[property];
+        });
+        this.createSpacer();
+
+        window.addEventListener('resize', this.handleResize, { passive: true });
+
+        // Smoothscroller reports resizes before measuring its content, so the spacer is updated in time
+        this.offResize = this.core.on('resize', this.handleCoreResize);
+
+        this.refresh();
+        this.startTracking();
+    }
+
+    createSpacer() {
+        this.spacer = document.createElement('div');
+        this.spacer.className = 'openscroll-pin-spacer';
+        this.spacer.style.position = 'relative';
+
+        this.element.parentNode.insertBefore(this.spacer, this.element);
+        this.spacer.appendChild(this.element);
+    }
+
+    startTracking() {
+        if (this.unsubscribeScroll || !this.element || this.environmentMode === 'disabled') return;
+
+        this.unsubscribeScroll = this.core.scroll.subscribe(this.handleScroll);
+        this.update(this.core.scroll.getState().y);
+    }
+
+    stopTracking() {
+        if (this.unsubscribeScroll) {
+            this.unsubscribeScroll();
+            this.unsubscribeScroll = null;
+        }
+    }
+
+    /**
+     * Release the element, measure it and size the spacer
+     */
+    refresh() {
+        if (!this.element || this.environmentMode === 'disabled') return;
+
+        this.release();
+        this.state = null;
+
+        this.mode = this._currentMode();
+
+        const scrollY = this.core.scroll.read().y;
+        const rect = this.spacer.getBoundingClientRect();
+        const height = this.element.offsetHeight;
+        const viewport = window.innerHeight;
+
+        const distance = typeof this.options.distance === 'function'
+            ? this.options.distance(this)
+            : (this.options.distance ?? viewport);
+        const { start, end } = ScrollPositions.range(this.options.start, distance, {
+            top: rect.top + scrollY,
+            height,
+            viewport
+        });
+
+        this.start = start;
+        this.end = end;
+        this.distance = end - start;
+        this.layout = {
+            top: rect.top + scrollY - start, // Viewport position while pinned
+            left: rect.left,
+            width: rect.width
+        };
+
+        this.spacer.style.height = `${height + (this.options.pinSpacing ? this.distance : 0)}px`;
+
+        this._emit('refresh', { start: this.start, end: this.end });
+        this.update(this.core.scroll.getState().y);
+
+        if (this.options.debug) {
+            console.log(`Pin: ${this.mode} from ${this.start.toFixed(1)} to ${this.end.toFixed(1)}`);
+        }
+    }
+
+    handleResize() {
+        this.core.clock.clearTimeout(this.resizeTimer);
+        this.resizeTimer = this.core.clock.setTimeout(() => this.refresh(), 150);
+    }
+
+    handleCoreResize(payload) {
+        if (payload && payload.instance === this) return;
+        this.refresh();
+    }
+
+    handleScroll(scrollState) {
+        this.update(scrollState.y);
+    }
+
+    /**
+     * Place the element for a scroll position
+     * @param {number} scrollY - Current scroll position
+     */
+    update(scrollY) {
+        if (this.paused || !this.element || this.environmentMode === 'disabled') return;
+
+        // Smoothscroller started or stopped since the last measure
+        if (this._currentMode() !== this.mode) {
+            this.refresh();
+            return;
+        }
+
+        const offset = Math.min(Math.max(scrollY - this.start, 0), this.distance);
+        const state = scrollY <= this.start ? 'before' : scrollY >= this.end ? 'after' : 'pinned';
+        const progress = offset / this.distance;
+
+        if (this.mode === 'transform') {
+            this.element.style.transform = offset ? `translate3d(0, ${offset}px, 0)` : '';
+        } else if (state !== this.state) {
+            // Fixed positioning only changes when the state does
+            this.release();
+
+            if (state === 'pinned') {
+                Object.assign(this.element.style, {
+                    position: 'fixed',
+                    top: `${this.layout.top}px`,
+                    left: `${this.layout.left}px`,
+                    width: `${this.layout.width}px`
+                });
+            } else if (state === 'after') {
+                this.element.style.transform = `translate3d(0, ${this.distance}px, 0)`;
+            }
+        }
+
+        this.state = state;
+
+        if (this.isPinned !== this.wasPinned) {
+            this.wasPinned = this.isPinned;
+            this.call('onToggle');
+            this._emit(this.isPinned ? 'pin:start' : 'pin:end', { progress });
+        }
+
+        if (progress !== this.progress) {
+            this.progress = progress;
+            this.call('onUpdate');
+        }
+    }
+
+    /**
+     * Whether the element is currently held in place
+     * @returns {boolean}
+     */
+    get isPinned() {
+        return this.state === 'pinned';
+    }
+
+    /**
+     * Give the element its original position, top, left, width and transform back
+     */
+    release() {
+        Object.assign(this.element.style, this.originalStyle);
+    }
+
+    call(name) {
+        if (typeof this.options[name] === 'function') {
+            try {
+                this.options[name](this);
+            } catch (error) {
+                console.error(`Pin ${name} failed:`, error);
+                this._emit('error', { message: `Pin ${name} failed`, error });
+            }
+        }
+    }
+
+    /**
+     * Follow the environment, called by the core. While 'disabled' the element goes back in the flow
+     * and the spacer loses the pin distance, so a printed page has no gap.
+     * @param {string} mode - 'full', 'reduced' or 'disabled'
+     */
+    setMode(mode) {
+        if (mode === this.environmentMode) return;
+
+        const wasDisabled = this.environmentMode === 'disabled';
+        this.environmentMode = mode;
+
+        if (mode === 'disabled') {
+            this.stopTracking();
+            if (this.element) {
+                this.release();
+                this.spacer.style.height = '';
+            }
+            this.state = null;
+        } else if (wasDisabled) {
+            this.refresh();
+            if (!this.paused) {
+                this.startTracking();
+            }
+        }
+    }
+
+    pause() {
+        if (this.paused) return;
+
+        this.paused = true;
+        this.stopTracking();
+    }
+
+    resume() {
+        if (!this.paused) return;
+
+        this.paused = false;
+        this.startTracking();
+    }
+
+    isPaused() {
+        return this.paused;
+    }
+
+    getDebugInfo() {
+        return {
+            mode: this.mode,
+            environmentMode: this.environmentMode,
+            start: this.start,
+            end: this.end,
+            progress: this.progress,
+            isPinned: this.isPinned
+        };
+    }
+
+    destroy() {
+        this.stopTracking();
+        this.paused = false;
+
+        this.core.clock.clearTimeout(this.resizeTimer);
+        window.removeEventListener('resize', this.handleResize);
+
+        if (this.offResize) {
+            this.offResize();
+            this.offResize = null;
+        }
+
+        if (this.element) {
+            this.release();
+        }
+
+        // Put the element back where the spacer is
+        if (this.spacer && this.spacer.parentNode) {
+            this.spacer.parentNode.insertBefore(this.element, this.spacer);
+            this.spacer.remove();
+        }
+
+        this.spacer = null;
+        this.element = null;
+        this.state = null;
+        this.wasPinned = false;
+    }
+}
+
+OpenScroll.register('pin', Pin, {
+    version: '1.0.0',
+    description: 'Holds an element in place for a scroll distance, with native or smoothed scrolling'
+});
@@ -0,0 +1,260 @@
+/**
+ * Progress Bar
+ * V1.0.0
+ *
+ * Reading indicator showing how far the page, an element or a named section has been scrolled.
+ * It follows the scroll position of the core, so it moves with Smoothscroller's smoothed value.
+ */
+class ProgressBar {
+    /**
+     * Constructor for the ProgressBar class
+     * @param {Object} options - Configuration options
+     * @param {string|HTMLElement} [options.target='document'] - What to measure, see OpenScroll#progress()
+     * @param {string} [options.start] - Start of the range for element targets
+     * @param {string} [options.end] - End of the range for element targets
+     * @param {HTMLElement|string} [options.element] - Existing element to update instead of creating a bar
+     * @param {string} [options.position='top'] - Edge of the created bar: top, bottom, left or right
+     * @param {number} [options.thickness=4] - Thickness of the created bar in pixels
+     * @param {string} [options.color='currentColor'] - Color of the created bar
+     * @param {number} [options.zIndex=9999] - z-index of the created bar
+     * @param {Function} [options.onUpdate] - Called with the instance when the progress changes
+     * @param {OpenScroll} [core] - OpenScroll instance providing the scroll position
+     */
+    constructor(options = {}, core = null) {
+        this.core = core || new OpenScroll();
+
+        this.options = {
+            target: 'document',
+            start: undefined,
+            end: undefined,
+            element: null,
+            position: 'top',
+            thickness: 4,
+            color: 'currentColor',
+            zIndex: 9999,
+            debug: false,
+            ...options
+        };
+
+        this.bar = null;
+        this.created = false;
+        this.range = null;
+        this.progress = 0;
+        this.rendered = false;
+        this.paused = false;
+        this.environmentMode = this.core.environment.mode; // The bar is hidden while 'disabled'
+
+        this.unsubscribeScroll = null;
+        this.offRefresh = null;
+        this.resizeTimer = null;
+
+        this.handleScroll = this.handleScroll.bind(this);
+        this.handleResize = this.handleResize.bind(this);
+        this.handleRefresh = this.handleRefresh.bind(this);
+
+        this.init();
+    }
+
+    _emit(event, data = {}) {
+        this.core.emit(event, { instance: this, ...data });
+    }
+
+    init() {
+        this.bar = typeof this.options.element === 'string'
+            ? document.querySelector(this.options.element)
+            : this.options.element;
+
+        if (!this.bar) {
+            this.createBar();
+        }
+
+        window.addEventListener('resize', this.handleResize, { passive: true });
+        this.offRefresh = this.core.on('refresh', this.handleRefresh);
+
+        this.refresh();
+        this.start();
+    }
+
+    createBar() {
+        const vertical = this.options.position === 'left' || this.options.position === 'right';
+        const size = `${this.options.thickness}px`;
+
+        this.bar = document.createElement('div');
+        this.bar.className = 'openscroll-progress';
+        this.bar.setAttribute('aria-hidden', 'true');
+        this.bar.style.cssText = `
+            position: fixed;
+            ${this.options.position}: 0;
+            ${vertical ? 'top' : 'left'}: 0;
+            width: ${vertical ? size : '100%'};
+            height: ${vertical ? '100%' : size};
+            background: ${this.options.color};
+            transform-origin: ${vertical ? 'top' : 'left'};
+            transform: ${vertical ? 'scaleY(0)' : 'scaleX(0)'};
+            z-index: ${this.options.zIndex};
+            pointer-events: none;
+            will-change: transform;
+        `;
+
+        document.body.appendChild(this.bar);
+        this.created = true;
+
+        if (this.environmentMode === 'disabled') {
+            this.bar.style.display = 'none';
+        }
+    }
+
+    start() {
+        if (this.unsubscribeScroll || this.environmentMode === 'disabled') return;
+
+        this.unsubscribeScroll = this.core.scroll.subscribe(this.handleScroll);
+        this.update(this.core.scroll.getState().y);
+    }
+
+    stop() {
+        if (this.unsubscribeScroll) {
+            this.unsubscribeScroll();
+            this.unsubscribeScroll = null;
+        }
+    }
+
+    /**
+     * Measure the range of the target
+     */
+    refresh() {
+        this.range = this.core.progress(this.options.target, {
+            start: this.options.start,
+            end: this.options.end
+        });
+
+        if (!this.range && this.options.debug) {
+            console.warn('ProgressBar: target not found', this.options.target);
+        }
+
+        this.update(this.core.scroll.getState().y);
+    }
+
+    handleResize() {
+        this.core.clock.clearTimeout(this.resizeTimer);
+        this.resizeTimer = this.core.clock.setTimeout(() => this.refresh(), 150);
+    }
+
+    handleRefresh(payload) {
+        if (payload && payload.instance === this) return;
+        this.refresh();
+    }
+
+    handleScroll(scrollState) {
+        this.update(scrollState.y);
+    }
+
+    /**
+     * Render the progress for a scroll position
+     * @param {number} scrollY - Current scroll position
+     */
+    update(scrollY) {
+        if (this.paused || !this.range || !this.bar) return;
+
+        const { start, total } = this.range;
+        const progress = total > 0 ? Math.min(Math.max((scrollY - start) / total, 0), 1) : 1;
+        if (progress === this.progress && this.rendered) return;
+
+        this.progress = progress;
+        this.rendered = true;
+        this.bar.style.setProperty('--openscroll-progress', progress.toFixed(4));
+
+        if (this.created) {
+            const vertical = this.options.position === 'left' || this.options.position === 'right';
+            this.bar.style.transform = vertical ? `scaleY(${progress})` : `scaleX(${progress})`;
+        }
+
+        this.call('onUpdate');
+    }
+
+    call(name) {
+        if (typeof this.options[name] === 'function') {
+            try {
+                this.options[name](this);
+            } catch (error) {
+                console.error(`ProgressBar ${name} failed:`, error);
+                this._emit('error', { message: `ProgressBar ${name} failed`, error });
+            }
+        }
+    }
+
+    /**
+     * Follow the environment, called by the core; a created bar is hidden while 'disabled', e.g. on paper
+     * @param {string} mode - 'full', 'reduced' or 'disabled'
+     */
+    setMode(mode) {
+        if (mode === this.environmentMode) return;
+
+        this.environmentMode = mode;
+
+        if (this.created) {
+            this.bar.style.display = mode === 'disabled' ? 'none' : '';
+        }
+
+        if (mode === 'disabled') {
+            this.stop();
+        } else if (!this.paused) {
+            this.start();
+        }
+    }
+
+    pause() {
+        if (this.paused) return;
+
+        this.paused = true;
+        this.stop();
+    }
+
+    resume() {
+        if (!this.paused) return;
+
+        this.paused = false;
+        this.start();
+    }
+
+    isPaused() {
+        return this.paused;
+    }
+
+    getDebugInfo() {
+        return {
+            target: typeof this.options.target === 'string' ? this.options.target : 'element',
+            progress: this.progress,
+            start: this.range ? this.range.start : null,
+            end: this.range ? this.range.end : null
+        };
+    }
+
+    destroy() {
+        this.stop();
+        this.paused = false;
+
+        this.core.clock.clearTimeout(this.resizeTimer);
+        window.removeEventListener('resize', this.handleResize);
+
+        if (this.offRefresh) {
+            this.offRefresh();
+            this.offRefresh = null;
+        }
+
+        if (this.created) {
+            this.bar.remove();
+        } else if (this.bar) {
+            this.bar.style.removeProperty('--openscroll-progress');
+        }
+
+        this.bar = null;
+        this.created = false;
+        this.rendered = false;
+    }
+}
+
+OpenScroll.register('progressbar', ProgressBar, {
+    version: '1.0.0',
+    description: 'Reading progress indicator for the page, an element or a named section',
+    aliases: ['progress-bar']
+});
@@ -0,0 +1,389 @@
+/**
+ * Reveal
+ * V1.0.0
+ *
+ * Fades and slides elements in when they enter the viewport, declared with data attributes:
+ *
+ * <h2 data-reveal="slide-up" data-reveal-delay="100">...</h2>
+ * <ul data-reveal-group="zoom" data-reveal-stagger="80">   <!-- children revealed one after the other -->
+ *     <li>...</li> <li>...</li>
+ * </ul>
+ *
+ * Per element: data-reveal-duration, data-reveal-delay, data-reveal-once="false" to hide again when leaving.
+ */
+class Reveal {
+    /**
+     * Hidden state of each preset, the revealed state is the element's own style
+     * @returns {Object<string, Function>} - Preset name -> function of the distance returning a transform
+     */
+    static get PRESETS() {
+        return {
+            'fade': () => '',
+            'slide-up': distance => `translate3d(0, ${distance}px, 0)`,
+            'slide-down': distance => `translate3d(0, ${-distance}px, 0)`,
+            'slide-left': distance => `translate3d(${distance}px, 0, 0)`,
+            'slide-right': distance => `translate3d(${-distance}px, 0, 0)`,
+            'zoom': () => 'scale(0.85)'
+        };
+    }
+
+    /**
+     * Constructor for the Reveal class
+     * @param {Object} options - Configuration options
+     * @param {HTMLElement} [options.element] - Only reveal inside this element (the whole document by default)
+     * @param {number} [options.threshold=0.15] - Visible ratio at which an element is revealed
+     * @param {string} [options.rootMargin='0px 0px -10% 0px'] - IntersectionObserver root margin
+     * @param {boolean} [options.once=true] - Keep elements revealed after they left the viewport
+     * @param {string} [options.preset='fade'] - Preset for empty data-reveal attributes
+     * @param {number} [options.duration=600] - Transition duration in ms
+     * @param {string} [options.easing='cubic-bezier(0.2, 0.6, 0.2, 1)'] - CSS timing function
+     * @param {number} [options.distance=40] - Distance of the slide presets in pixels
+     * @param {number} [options.stagger=100] - Delay between the children of a group in ms
+     * @param {string} [options.revealedClass='is-revealed'] - Class added to revealed elements
+     * @param {boolean} [options.respectReducedMotion=true] - Show elements without motion in the reduced mode of the
+     *        environment (reduced motion, data saving)
+     * @param {OpenScroll} [core] - OpenScroll instance receiving the events
+     */
+    constructor(options = {}, core = null) {
+        this.core = core || new OpenScroll();
+
+        this.options = {
+            element: null,
+            threshold: 0.15,
+            rootMargin: '0px 0px -10% 0px',
+            once: true,
+            preset: 'fade',
+            duration: 600,
+            easing: 'cubic-bezier(0.2, 0.6, 0.2, 1)',
+            distance: 40,
+            stagger: 100,
+            revealedClass: 'is-revealed',
+            respectReducedMotion: true,
+            debug: false,
+            ...options
+        };
+
+        // observed element -> { items: [{ element, preset, delay, duration, originalStyle }], once, revealed }
+        this.targets = new Map();
+        this.observer = null;
+        this.paused = false;
+        this.reducedMotion = false;
+        this.environmentMode = this.core.environment.mode;
+
+        this.handleIntersect = this.handleIntersect.bind(this);
+
+        this.init();
+    }
+
+    _emit(event, data = {}) {
+        this.core.emit(event, { instance: this, ...data });
+    }
+
+    init() {
+        this.reducedMotion = this._isReduced(this.environmentMode);
+
+        this.setupIntersectionObserver();
+        this.scan();
+    }
+
+    /**
+     * Same approach as Parallax.setupIntersectionObserver, with the reveal threshold
+     */
+    setupIntersectionObserver() {
+        if (!window.IntersectionObserver) {
+            if (this.options.debug) {
+                console.log('Intersection Observer not available, revealing everything');
+            }
+            return;
+        }
+
+        this.observer = new IntersectionObserver(this.handleIntersect, {
+            root: null,
+            rootMargin: this.options.rootMargin,
+            threshold: this.options.threshold
+        });
+    }
+
+    /**
+     * Find declarations that are not tracked yet
+     */
+    scan() {
+        const root = this.options.element || document;
+        const query = selector => {
+            const elements = Array.from(root.querySelectorAll(selector));
+            if (root.matches && root.matches(selector)) {
+                elements.unshift(root);
+            }
+            return elements;
+        };
+
+        query('[data-reveal-group]').forEach(group => {
+            if (this.targets.has(group)) return;
+
+            const stagger = this._number(group.dataset.revealStagger, this.options.stagger);
+            const items = Array.from(group.children).map((child, index) => this.createItem(
+                child,
+                child.dataset.reveal || group.dataset.revealGroup,
+                this._number(group.dataset.revealDelay, 0) + index * stagger
+            ));
+
+            this.track(group, items);
+        });
+
+        query('[data-reveal]').forEach(element => {
+            // Children of groups are handled by their group
+            if (this.targets.has(element) || this._isGroupChild(element)) return;
+
+            this.track(element, [this.createItem(element, element.dataset.reveal, this._number(element.dataset.revealDelay, 0))]);
+        });
+
+        if (this.options.debug) {
+            console.log(`Reveal: tracking ${this.targets.size} targets`);
+        }
+    }
+
+    _isReduced(mode) {
+        return mode === 'disabled' || (mode === 'reduced' && this.options.respectReducedMotion);
+    }
+
+    _isGroupChild(element) {
+        return Array.from(this.targets.values()).some(target => target.group && target.items.some(item => item.element === element));
+    }
+
+    _number(value, fallback) {
+        const number = parseFloat(value);
+        return Number.isFinite(number) ? number : fallback;
+    }
+
+    createItem(element, preset, delay) {
+        const name = preset && Reveal.PRESETS[preset] ? preset : this.options.preset;
+        if (preset && !Reveal.PRESETS[preset] && this.options.debug) {
+            console.warn(`Reveal: unknown preset "${preset}", using ${name}`);
+        }
+
+        return {
+            element,
+            preset: name,
+            delay,
+            duration: this._number(element.dataset.revealDuration, this.options.duration),
+            // Only the properties hide() writes, other inline styles are left to the page
+            originalStyle: {
+                opacity: element.style.opacity,
+                transform: element.style.transform,
+                transition: element.style.transition
+            }
+        };
+    }
+
+    /**
+     * Hide the items of a target and start observing it
+     * @param {HTMLElement} target - Element whose visibility triggers the reveal
+     * @param {Object[]} items - Elements revealed with it
+     */
+    track(target, items) {
+        const once = target.dataset.revealOnce !== undefined
+            ? target.dataset.revealOnce !== 'false'
+            : this.options.once;
+
+        this.targets.set(target, {
+            items,
+            once,
+            group: target.hasAttribute('data-reveal-group'),
+            revealed: false
+        });
+
+        if (!this.observer) {
+            this.show(target);
+            return;
+        }
+
+        if (this.environmentMode === 'disabled') {
+            items.forEach(item => item.element.classList.add(this.options.revealedClass));
+            return;
+        }
+
+        items.forEach(item => this.hide(item, false));
+        if (!this.paused) {
+            this.observer.observe(target);
+        }
+    }
+
+    handleIntersect(entries) {
+        entries.forEach(entry => {
+            const target = this.targets.get(entry.target);
+            if (!target) return;
+
+            if (entry.isIntersecting) {
+                this.show(entry.target);
+            } else if (target.revealed && !target.once) {
+                target.revealed = false;
+                target.items.forEach(item => this.hide(item, true));
+                this._emit('reveal:out', { element: entry.target });
+            }
+        });
+    }
+
+    /**
+     * Reveal a target
+     * @param {HTMLElement} element - Tracked element
+     */
+    show(element) {
+        const target = this.targets.get(element);
+        if (!target || target.revealed) return;
+
+        target.revealed = true;
+        target.items.forEach(item => {
+            this.restore(item);
+
+            if (!this.reducedMotion) {
+                item.element.style.transition = `opacity ${item.duration}ms ${this.options.easing} ${item.delay}ms, `
+                    + `transform ${item.duration}ms ${this.options.easing} ${item.delay}ms`;
+            }
+            item.element.classList.add(this.options.revealedClass);
+        });
+
+        if (target.once && this.observer) {
+            this.observer.unobserve(element);
+        }
+
+        this._emit('reveal:in', { element });
+    }
+
+    /**
+     * Put an item in its hidden state
+     * @param {Object} item - Reveal item
+     * @param {boolean} animate - Transition to it, used when hiding again
+     */
+    hide(item, animate) {
+        const { style } = item.element;
+        item.element.classList.remove(this.options.revealedClass);
+
+        // Content stays visible without motion, only the class is toggled
+        if (this.reducedMotion) return;
+
+        style.transition = animate
+            ? `opacity ${item.duration}ms ${this.options.easing}, transform ${item.duration}ms ${this.options.easing}`
+            : 'none';
+        style.opacity = '0';
+        style.transform = Reveal.PRESETS[item.preset](this.options.distance);
+    }
+
+    /**
+     * Give an item its original opacity, transform and transition back
+     * @param {Object} item - Reveal item
+     */
+    restore(item) {
+        Object.assign(item.element.style, item.originalStyle);
+    }
+
+    /**
+     * Follow the environment, called by the core: 'reduced' reveals without motion (with respectReducedMotion),
+     * 'disabled' shows every element right away so nothing stays hidden, on paper for instance
+     * @param {string} mode - 'full', 'reduced' or 'disabled'
+     */
+    setMode(mode) {
+        if (mode === this.environmentMode) return;
+
+        const wasDisabled = this.environmentMode === 'disabled';
+        this.environmentMode = mode;
+        this.reducedMotion = this._isReduced(mode);
+
+        if (mode === 'disabled') {
+            if (this.observer) {
+                this.observer.disconnect();
+            }
+            this.targets.forEach(target => target.items.forEach(item => {
+                this.restore(item);
+                item.element.classList.add(this.options.revealedClass);
+            }));
+            return;
+        }
+
+        // Elements not revealed yet take the hidden state of the new mode
+        this.targets.forEach(target => {
+            if (target.revealed) return;
+            target.items.forEach(item => {
+                this.restore(item);
+                this.hide(item, false);
+            });
+        });
+
+        if (wasDisabled && !this.paused) {
+            this.observe();
+        }
+    }
+
+    /**
+     * Observe every target that can still change
+     */
+    observe() {
+        if (!this.observer) return;
+
+        this.targets.forEach((target, element) => {
+            if (!target.revealed || !target.once) {
+                this.observer.observe(element);
+            }
+        });
+    }
+
+    pause() {
+        if (this.paused) return;
+
+        this.paused = true;
+        if (this.observer) {
+            this.observer.disconnect();
+        }
+    }
+
+    resume() {
+        if (!this.paused) return;
+
+        this.paused = false;
+        if (this.environmentMode !== 'disabled') {
+            this.observe();
+        }
+    }
+
+    isPaused() {
+        return this.paused;
+    }
+
+    /**
+     * Pick up elements added to the page since the last scan
+     */
+    refresh() {
+        this.scan();
+    }
+
+    getDebugInfo() {
+        const targets = Array.from(this.targets.values());
+        return {
+            targets: targets.length,
+            revealed: targets.filter(target => target.revealed).length,
+            reducedMotion: this.reducedMotion,
+            environmentMode: this.environmentMode
+        };
+    }
+
+    destroy() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+
+        this.targets.forEach(target => {
+            target.items.forEach(item => {
+                this.restore(item);
+                item.element.classList.remove(this.options.revealedClass);
+            });
+        });
+
+        this.targets.clear();
+        this.paused = false;
+    }
+}
+
+OpenScroll.register('reveal', Reveal, {
+    version: '1.0.0',
+    description: 'Reveals elements with presets when they scroll into view, with staggered groups'
+});
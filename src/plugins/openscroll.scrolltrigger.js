@@ -0,0 +1,544 @@
+/**
+ * Scroll Trigger
+ * V1.0.0
+ */
+class ScrollTrigger {
+    /**
+     * Constructor for the ScrollTrigger class
+     * Positions are "<trigger edge> <viewport edge>" strings, see ScrollPositions.
+     * @param {Object} options - Configuration options
+     * @param {HTMLElement|string} [options.trigger] - Element whose position defines the range (defaults to options.element)
+     * @param {string} [options.start='top bottom'] - Scroll position where the range starts
+     * @param {string} [options.end='bottom top'] - Scroll position where the range ends
+     * @param {boolean|number} [options.scrub=false] - Map progress onto the animation; a number smooths it over that many seconds
+     * @param {Function|Object} [options.animation] - Function receiving the progress, or an object with progress(value) (and play()/reverse() when not scrubbing)
+     * @param {string|Object} [options.toggleClass] - Class added while active, on the trigger or on { targets, className }
+     * @param {boolean} [options.once=false] - Destroy the trigger after the first enter
+     * @param {boolean|Object} [options.markers=false] - Show debug markers, optionally { startColor, endColor }
+     * @param {string} [options.rootMargin='100px'] - Margin of the IntersectionObserver deciding when the trigger is near
+     * @param {Function} [options.onEnter] - Called with the trigger when scrolling forward into the range
+     * @param {Function} [options.onLeave] - Called when scrolling forward past the end
+     * @param {Function} [options.onEnterBack] - Called when scrolling back into the range
+     * @param {Function} [options.onLeaveBack] - Called when scrolling back past the start
+     * @param {Function} [options.onUpdate] - Called when the progress changes
+     * @param {Function} [options.onToggle] - Called when the trigger becomes active or inactive
+     * @param {OpenScroll} [core] - OpenScroll instance providing the ticker and scroll driver
+     */
+    constructor(options = {}, core = null) {
+        this.core = core || new OpenScroll();
+
+        this.options = {
+            trigger: null,
+            element: null,
+            start: 'top bottom',
+            end: 'bottom top',
+            scrub: false,
+            animation: null,
+            toggleClass: null,
+            once: false,
+            markers: false,
+            rootMargin: '100px',
+            debug: false,
+            ...options
+        };
+
+        this.trigger = this._resolveElement(this.options.trigger || this.options.element);
+
+        // Range in scroll pixels, measured by refresh()
+        this.start = 0;
+        this.end = 0;
+
+        // Live state
+        this.progress = 0;
+        this.scrubProgress = 0;
+        this.direction = 1;
+        this.isActive = false;
+        this.position = 'before'; // 'before', 'active' or 'after'
+        this.isNear = true;
+        this.paused = false;
+        this.finished = false; // once: entered and waiting to be stopped
+        this.environmentMode = this.core.environment.mode;
+
+        this.observer = null;
+        this.markers = null;
+        this.unsubscribeScroll = null;
+        this.removeTick = null;
+        this.offRefresh = null;
+        this.resizeTimer = null;
+
+        this.handleScroll = this.handleScroll.bind(this);
+        this.handleResize = this.handleResize.bind(this);
+        this.handleRefresh = this.handleRefresh.bind(this);
+        this.updateScrub = this.updateScrub.bind(this);
+
+        this.init();
+    }
+
+    /**
+     * Resolve an element from string selector or direct reference
+     * @private
+     * @param {HTMLElement|string} element - Element or selector
+     * @returns {HTMLElement|null} The resolved element
+     */
+    _resolveElement(element) {
+        if (typeof element === 'string') {
+            return document.querySelector(element);
+        }
+        return element || null;
+    }
+
+    /**
+     * Report an event through the core event bus
+     * @private
+     * @param {string} event - Event name
+     * @param {Object} [data] - Event payload, the instance is added to it
+     */
+    _emit(event, data = {}) {
+        this.core.emit(event, { instance: this, ...data });
+    }
+
+    init() {
+        if (!this.trigger) {
+            this._emit('error', { message: 'ScrollTrigger: trigger element not found', data: this.options.trigger });
+            return;
+        }
+
+        // A scrubbed tween or timeline follows the scroll position instead of its own clock
+        const { animation } = this.options;
+        if (this.options.scrub && animation && typeof animation.pause === 'function') {
+            animation.pause();
+        }
+
+        this.setupIntersectionObserver();
+
+        if (this.options.markers) {
+            this.createMarkers();
+        }
+
+        window.addEventListener('resize', this.handleResize, { passive: true });
+
+        // Layout changes reported by other plugins (Smoothscroller content height, Parallax rects...)
+        this.offRefresh = this.core.on('refresh', this.handleRefresh);
+
+        this.refresh();
+        this.startTracking();
+    }
+
+    /**
+     * Same approach as Parallax.setupIntersectionObserver: know when the trigger is close to the viewport,
+     * so callbacks and classes still fire on jumps but animations only update when it matters
+     */
+    setupIntersectionObserver() {
+        if (!window.IntersectionObserver) return;
+
+        this.observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                this.isNear = entry.isIntersecting;
+            });
+        }, {
+            root: null,
+            rootMargin: this.options.rootMargin,
+            threshold: 0
+        });
+
+        this.observer.observe(this.trigger);
+    }
+
+    startTracking() {
+        if (this.unsubscribeScroll || !this.trigger || this.finished || this.environmentMode === 'disabled') return;
+
+        this.unsubscribeScroll = this.core.scroll.subscribe(this.handleScroll);
+        this.update(this.core.scroll.getState());
+    }
+
+    stopTracking() {
+        if (this.unsubscribeScroll) {
+            this.unsubscribeScroll();
+            this.unsubscribeScroll = null;
+        }
+        if (this.removeTick) {
+            this.removeTick();
+            this.removeTick = null;
+        }
+    }
+
+    /**
+     * Measure the trigger and compute the start and end scroll positions
+     */
+    refresh() {
+        if (!this.trigger) return;
+
+        // Rects follow what is rendered, so add the rendered (possibly smoothed) scroll position
+        const scrollY = this.core.scroll.read().y;
+        const rect = this.trigger.getBoundingClientRect();
+        const layout = {
+            top: rect.top + scrollY,
+            height: rect.height,
+            viewport: window.innerHeight
+        };
+
+        const { start, end } = ScrollPositions.range(this.options.start, this.options.end, layout);
+        this.start = start;
+        this.end = end;
+
+        this.updateMarkers(scrollY);
+        this.update(this.core.scroll.getState());
+
+        if (this.options.debug) {
+            console.log(`ScrollTrigger: range ${this.start.toFixed(1)} - ${this.end.toFixed(1)}`);
+        }
+    }
+
+    handleResize() {
+        this.core.clock.clearTimeout(this.resizeTimer);
+        this.resizeTimer = this.core.clock.setTimeout(() => this.refresh(), 150);
+    }
+
+    handleRefresh(payload) {
+        if (payload && payload.instance === this) return;
+        this.refresh();
+    }
+
+    handleScroll(scrollState) {
+        this.update(scrollState);
+    }
+
+    /**
+     * Compute progress and fire callbacks for a scroll state
+     * @param {Object} scrollState - State from the core scroll driver
+     */
+    update(scrollState) {
+        if (this.paused || !this.trigger || this.finished) return;
+
+        const { y } = scrollState;
+        const previousPosition = this.position;
+        const previousProgress = this.progress;
+
+        if (scrollState.direction) {
+            this.direction = scrollState.direction;
+        }
+
+        this.progress = Math.min(Math.max((y - this.start) / (this.end - this.start), 0), 1);
+        this.position = y < this.start ? 'before' : y > this.end ? 'after' : 'active';
+
+        if (this.position !== previousPosition) {
+            this.handleTransition(previousPosition, this.position);
+            if (!this.trigger) return; // destroyed by `once`
+        }
+
+        this.updateMarkers(y);
+
+        if (this.progress !== previousProgress) {
+            this.call('onUpdate');
+            this.applyProgress();
+        }
+    }
+
+    /**
+     * Fire the callbacks for a move between two positions, including jumps over the whole range
+     * @param {string} from - Previous position
+     * @param {string} to - New position
+     */
+    handleTransition(from, to) {
+        const steps = [];
+
+        if (from === 'before') {
+            steps.push('onEnter');
+            if (to === 'after') steps.push('onLeave');
+        } else if (from === 'after') {
+            steps.push('onEnterBack');
+            if (to === 'before') steps.push('onLeaveBack');
+        } else {
+            steps.push(to === 'after' ? 'onLeave' : 'onLeaveBack');
+        }
+
+        steps.forEach(step => {
+            this.setActive(step === 'onEnter' || step === 'onEnterBack');
+            this.call(step);
+            this._emit(`scrolltrigger:${step.slice(2).toLowerCase()}`, { progress: this.progress });
+
+            if (!this.options.scrub) {
+                this.playAnimation(step);
+            }
+        });
+
+        if (this.options.once && steps[0] === 'onEnter') {
+            this.finishOnce();
+        }
+    }
+
+    /**
+     * Stop for good after the first enter, keeping the entered state (toggleClass stays on).
+     * Deferred, so a trigger already entered while constructed is registered by core.start() first,
+     * then stopped through the core, which forgets it and emits plugin:stop.
+     */
+    finishOnce() {
+        this.finished = true;
+        this.stopTracking();
+        this.isActive = false;
+
+        Promise.resolve().then(() => {
+            if (!this.trigger) return;
+
+            const handle = Array.from(this.core.instances.values()).find(entry => entry.instance === this);
+            if (handle) {
+                this.core.stop(handle);
+            } else {
+                this.destroy();
+            }
+        });
+    }
+
+    /**
+     * Toggle the active state, its class and the onToggle callback
+     * @param {boolean} active - New state
+     */
+    setActive(active) {
+        if (this.isActive === active) return;
+
+        this.isActive = active;
+        this.toggleClasses(active);
+        this.call('onToggle');
+    }
+
+    toggleClasses(active) {
+        const { toggleClass } = this.options;
+        if (!toggleClass) return;
+
+        const className = typeof toggleClass === 'string' ? toggleClass : toggleClass.className;
+        let targets = typeof toggleClass === 'string' ? this.trigger : (toggleClass.targets || this.trigger);
+
+        if (typeof targets === 'string') {
+            targets = document.querySelectorAll(targets);
+        }
+
+        (targets instanceof Element ? [targets] : Array.from(targets)).forEach(target => {
+            target.classList.toggle(className, active);
+        });
+    }
+
+    /**
+     * Play or reverse a non-scrubbed animation
+     * @param {string} step - Callback name of the transition
+     */
+    playAnimation(step) {
+        const { animation } = this.options;
+        if (!animation || typeof animation === 'function') return;
+
+        // Without motion the animation jumps to its end state
+        if (this.environmentMode !== 'full' && typeof animation.progress === 'function') {
+            if (step === 'onEnter' || step === 'onEnterBack') {
+                animation.progress(1);
+            } else if (step === 'onLeaveBack') {
+                animation.progress(0);
+            }
+            return;
+        }
+
+        if ((step === 'onEnter' || step === 'onEnterBack') && typeof animation.play === 'function') {
+            animation.play();
+        } else if (step === 'onLeaveBack' && typeof animation.reverse === 'function') {
+            animation.reverse();
+        }
+    }
+
+    /**
+     * Push the progress to a scrubbed animation
+     */
+    applyProgress() {
+        if (!this.options.scrub || !this.options.animation) return;
+
+        // Far away and already settled at 0 or 1: nothing visible to update
+        if (!this.isNear && this.scrubProgress === this.progress) return;
+
+        if (typeof this.options.scrub === 'number' && this.options.scrub > 0 && this.environmentMode === 'full') {
+            // Catch up over time, see updateScrub()
+            if (!this.removeTick) {
+                this.removeTick = this.core.ticker.add(this.updateScrub);
+            }
+            return;
+        }
+
+        this.scrubProgress = this.progress;
+        this.renderAnimation(this.scrubProgress);
+    }
+
+    /**
+     * Frame callback easing the scrubbed progress towards the scroll progress
+     * @param {number} time - Frame timestamp in ms
+     * @param {number} deltaTime - Time since the last frame in ms
+     */
+    updateScrub(time, deltaTime) {
+        const lag = this.options.scrub * 1000;
+        const distance = this.progress - this.scrubProgress;
+
+        if (Math.abs(distance) < 0.0001) {
+            this.scrubProgress = this.progress;
+            this.removeTick();
+            this.removeTick = null;
+        } else {
+            this.scrubProgress += distance * (1 - Math.exp(-deltaTime / lag));
+        }
+
+        this.renderAnimation(this.scrubProgress);
+    }
+
+    renderAnimation(progress) {
+        const { animation } = this.options;
+
+        if (typeof animation === 'function') {
+            animation(progress, this);
+        } else if (animation && typeof animation.progress === 'function') {
+            animation.progress(progress);
+        }
+    }
+
+    call(name) {
+        if (typeof this.options[name] === 'function') {
+            try {
+                this.options[name](this);
+            } catch (error) {
+                console.error(`ScrollTrigger ${name} failed:`, error);
+                this._emit('error', { message: `ScrollTrigger ${name} failed`, error });
+            }
+        }
+    }
+
+    createMarkers() {
+        const colors = {
+            startColor: 'green',
+            endColor: 'red',
+            ...(typeof this.options.markers === 'object' ? this.options.markers : {})
+        };
+
+        const create = (text, color, side) => {
+            const marker = document.createElement('div');
+            marker.className = 'openscroll-marker';
+            marker.textContent = text;
+            marker.setAttribute('aria-hidden', 'true');
+            marker.style.cssText = `
+                position: fixed;
+                ${side}: 0;
+                top: 0;
+                z-index: 9999;
+                padding: 0 4px;
+                border-top: 1px solid ${color};
+                color: ${color};
+                font: 11px/1.4 monospace;
+                pointer-events: none;
+            `;
+            document.body.appendChild(marker);
+            return marker;
+        };
+
+        this.markers = {
+            start: create('start', colors.startColor, 'right'),
+            end: create('end', colors.endColor, 'right'),
+            scrollerStart: create('scroller-start', colors.startColor, 'left'),
+            scrollerEnd: create('scroller-end', colors.endColor, 'left')
+        };
+    }
+
+    /**
+     * Position the markers for a scroll position; they are fixed so they work with native and smoothed scrolling
+     * @param {number} scrollY - Current scroll position
+     */
+    updateMarkers(scrollY) {
+        if (!this.markers) return;
+
+        const viewport = window.innerHeight;
+        const [, startViewport] = ScrollPositions.split(this.options.start);
+        const [, endViewport] = ScrollPositions.isRelative(this.options.end)
+            ? [null, startViewport]
+            : ScrollPositions.split(this.options.end);
+        const startOffset = ScrollPositions.parseEdge(startViewport, viewport);
+        const endOffset = ScrollPositions.parseEdge(endViewport, viewport);
+
+        this.markers.scrollerStart.style.transform = `translateY(${startOffset}px)`;
+        this.markers.scrollerEnd.style.transform = `translateY(${endOffset}px)`;
+        this.markers.start.style.transform = `translateY(${this.start + startOffset - scrollY}px)`;
+        this.markers.end.style.transform = `translateY(${this.end + endOffset - scrollY}px)`;
+    }
+
+    /**
+     * Follow the environment, called by the core: 'reduced' scrubs without smoothing and jumps played
+     * animations to their end, 'disabled' stops tracking the scroll
+     * @param {string} mode - 'full', 'reduced' or 'disabled'
+     */
+    setMode(mode) {
+        if (mode === this.environmentMode) return;
+
+        this.environmentMode = mode;
+
+        if (mode === 'disabled') {
+            this.stopTracking();
+        } else if (!this.paused) {
+            this.startTracking();
+        }
+    }
+
+    pause() {
+        if (this.paused) return;
+
+        this.paused = true;
+        this.stopTracking();
+    }
+
+    resume() {
+        if (!this.paused) return;
+
+        this.paused = false;
+        this.startTracking();
+    }
+
+    isPaused() {
+        return this.paused;
+    }
+
+    getDebugInfo() {
+        return {
+            start: this.start,
+            end: this.end,
+            progress: this.progress,
+            position: this.position,
+            isActive: this.isActive,
+            isNear: this.isNear,
+            environmentMode: this.environmentMode
+        };
+    }
+
+    destroy() {
+        this.stopTracking();
+        this.paused = false;
+
+        this.core.clock.clearTimeout(this.resizeTimer);
+        window.removeEventListener('resize', this.handleResize);
+
+        if (this.offRefresh) {
+            this.offRefresh();
+            this.offRefresh = null;
+        }
+
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+
+        if (this.markers) {
+            Object.values(this.markers).forEach(marker => marker.remove());
+            this.markers = null;
+        }
+
+        if (this.trigger && this.isActive) {
+            this.toggleClasses(false);
+        }
+        this.isActive = false;
+        this.trigger = null;
+    }
+}
+
+OpenScroll.register('scrolltrigger', ScrollTrigger, {
+    version: '1.0.0',
+    description: 'Callbacks, class toggles and scrubbed animations for a scroll range',
+    aliases: ['scroll-trigger']
+});
@@ -1,45 +1,124 @@
 /**
  * Smooth Scroll
  * V1.0.0
+ *
+ * Smooths the scrolling of the page, or of any overflow container with options.container.
+ * Each instance has its own wrapper, so several scrollers can run on one page; only the one
+ * on the window drives the core scroll position that other plugins follow.
  */
 class Smoothscroller {
     /**
      * Constructor for the SmoothScroller class
      * @param {Object} options - Configuration options
-     * @param {HTMLElement|string} [options.element] - Element to apply smooth scrolling to
+     * @param {HTMLElement|string} [options.element] - Element to apply smooth scrolling to, the container's first child with options.container
+     * @param {HTMLElement|string} [options.container] - Overflow element to smooth instead of the window
+     * @param {string} [options.axis='y'] - Axis to smooth: 'y', 'x' (the vertical wheel then scrolls sideways) or 'both'
      * @param {number} [options.smoothness=0.95] - Scrolling smoothness (0.8-0.95 recommended)
+     * @param {string} [options.model='lerp'] - How the content follows the scroll: 'lerp' eases towards it, 'spring' is a
+     *        damped spring that can overshoot, 'inertia' eases like lerp and keeps gliding after the input stops
+     * @param {number} [options.mass=1] - Mass of the spring, and how long inertia glides
+     * @param {number} [options.stiffness=170] - Stiffness of the spring
+     * @param {number} [options.damping] - Damping of the spring, critical damping (no overshoot) by default
+     * @param {number} [options.friction=0.95] - Share of the inertia velocity kept per frame at 60fps
+     * @param {Function} [options.onUpdate] - Called with the instance on every frame the content moves
      * @param {number} [options.minMovement=0.5] - Minimum movement threshold in pixels
      * @param {number} [options.maxDeltaTime=2] - Maximum delta time for stability
      * @param {boolean} [options.debug=false] - Enable console logging
      * @param {number} [options.scrollToDuration=1000] - Default duration for scrollTo in ms
-     * @param {string} [options.scrollToEasing='easeInOutCubic'] - Default easing function
-     * @param {number} [options.autoScrollOffset=0] - Offset for scrollTo
+     * @param {string} [options.scrollToEasing='easeInOutCubic'] - Default easing, any name or expression understood by Easings.get()
+     * @param {number|{x: number, y: number}} [options.autoScrollOffset=0] - Offset for scrollTo, a number applies to every smoothed axis
      * @param {boolean} [options.useNativeForTouch=true] - Use native scrolling on touch devices
-     * @param {boolean} [options.respectReducedMotion=true] - Respect user's reduced motion preference
+     * @param {boolean} [options.touchMomentum=false] - Smooth touch devices too, dragging the content with the finger and
+     *        gliding on release with the inertia friction; gestures across the smoothed axes stay native
+     * @param {number} [options.touchMultiplier=1] - Multiplier of the release velocity of touch gestures
+     * @param {boolean} [options.rubberBand=true] - Stretch past the edges while dragging or gliding, then spring back
+     * @param {boolean} [options.respectReducedMotion=true] - Scroll natively in the reduced mode of the environment
+     *        (reduced motion, data saving)
+     * @param {string|HTMLElement[]|number[]} [options.snap] - Snap to elements matching a selector, to elements, or to scroll positions
+     * @param {boolean} [options.interruptible=true] - Stop scrollTo() animations when the user scrolls with the wheel, touch or keys
+     * @param {string} [options.snapType='mandatory'] - 'mandatory' always snaps, 'proximity' only near a snap point
+     * @param {number} [options.snapProximity] - Distance in pixels for proximity snapping, 30% of the viewport by default
+     * @param {number} [options.snapDelay=150] - Time without scrolling before snapping, in ms
+     * @param {number} [options.snapDuration=600] - Duration of the snap animation in ms
+     * @param {string} [options.snapEasing='easeOutCubic'] - Easing of the snap animation
+     * @param {boolean} [options.anchors=false] - Scroll to same-page anchors with scrollTo() and follow hash navigation
+     * @param {number|{x: number, y: number}} [options.anchorOffset] - Offset for anchors, autoScrollOffset by default
+     * @param {number} [options.anchorDuration] - Duration of anchor scrolling in ms, scrollToDuration by default
+     * @param {string|Function} [options.anchorEasing] - Easing of anchor scrolling, scrollToEasing by default
+     * @param {string|boolean} [options.anchorHistory='push'] - 'push' or 'replace' the history entry for clicked anchors, false to leave the URL
+     * @param {boolean} [options.anchorFocus=true] - Move the focus to the anchor target once scrolled
+     * @param {boolean} [options.keyboard=true] - Scroll with arrows, Space, Page Up/Down, Home and End through scrollTo()
+     * @param {number} [options.keyboardStep=40] - Distance of an arrow key in pixels, also kept from the previous page
+     * @param {number} [options.keyboardDuration=400] - Duration of keyboard and focus scrolling in ms
+     * @param {string|Function} [options.keyboardEasing='easeOutCubic'] - Easing of keyboard and focus scrolling
+     * @param {boolean} [options.followFocus=true] - Scroll focused elements into view
+     * @param {number} [options.focusMargin=40] - Space kept around focused elements in pixels
+     * @param {OpenScroll} [core] - OpenScroll instance providing the ticker and scroll driver
      */
-    constructor(options = {}) {
+    constructor(options = {}, core = null) {
+        // Shared services
+        this.core = core || new OpenScroll();
+
         // DOM elements
-        this.scrollElement = this._resolveElement(options.element || '#scrollSmooth');
+        this.container = options.container ? this._resolveElement(options.container) : null;
+        this.scrollElement = this.container
+            ? (options.element ? this._resolveElement(options.element) : this.container.firstElementChild)
+            : this._resolveElement(options.element || '#scrollSmooth');
         this.wrapperElement = null;
-
-        // Internal state
-        this.currentScroll = window.scrollY;
-        this.targetScroll = window.scrollY;
-        this.lastTime = performance.now();
+        this.viewportElement = null;
+        this.contentHeight = 0;
+        this.contentWidth = 0;
+
+        // Internal state, currentScroll and targetScroll are the vertical axis
+        this.currentScroll = this._getNativeScroll().y;
+        this.targetScroll = this.currentScroll;
+        this.currentScrollX = 0;
+        this.targetScrollX = 0;
+        this.lastTime = this.core.clock.now();
         this.isRunning = false;
-        this.animationFrameId = null;
+        this.paused = false;
+        this.removeTick = null;
         this.resizeObserver = null;
         this.isTouchDevice = this._isTouchDevice();
-        this.prefersReducedMotion = this._prefersReducedMotion();
+        this.environmentMode = this.core.environment.mode;
 
         // Animation state
         this.animations = [];
         this.isAnimating = false;
         this.currentAnimation = null;
+        this.removeFallbackTick = null;
+
+        // Motion state, velocities in px/s
+        this.velocity = { x: 0, y: 0 };
+        this.direction = 0;
+        this.springVelocity = { x: 0, y: 0 };
+        this.inputVelocity = { x: 0, y: 0 };
+        this.lastInput = { time: 0, x: 0, y: 0 };
+        this.glideTarget = null;
+
+        // Touch state, overscroll is rendered past the edges and never reaches the native scroll
+        this.touch = null;
+        this.touchGlide = false;
+        this.overscroll = { x: 0, y: 0 };
+        this.overscrollVelocity = { x: 0, y: 0 };
+
+        // Snapping state
+        this.snapTimer = null;
+        this.snapIndex = -1;
+
+        // Anchor state
+        this.lastHash = null;
+        this.focusingAnchor = false;
 
         // Configuration with defaults
         this.config = {
             smoothness: this._clamp(options.smoothness ?? 0.94, 0.5, 0.99),
+            model: ['lerp', 'spring', 'inertia'].includes(options.model) ? options.model : 'lerp',
+            mass: options.mass ?? 1,
+            stiffness: options.stiffness ?? 170,
+            damping: options.damping ?? null,
+            friction: this._clamp(options.friction ?? 0.95, 0, 0.999),
+            onUpdate: options.onUpdate ?? null,
             minMovement: options.minMovement ?? 0.5,
             maxDeltaTime: options.maxDeltaTime ?? 2,
             debug: options.debug ?? false,
@@ -47,34 +126,30 @@ class Smoothscroller {
             scrollToEasing: options.scrollToEasing ?? 'easeInOutCubic',
             autoScrollOffset: options.autoScrollOffset ?? 0,
             useNativeForTouch: options.useNativeForTouch ?? true,
-            respectReducedMotion: options.respectReducedMotion ?? true
-        };
-
-        // Easing functions collection
-        this.easings = {
-            linear: t => t,
-            easeInQuad: t => t * t,
-            easeOutQuad: t => t * (2 - t),
-            easeInOutQuad: t => t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t,
-            easeInCubic: t => t * t * t,
-            easeOutCubic: t => (--t) * t * t + 1,
-            easeInOutCubic: t => t < 0.5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1,
-            easeInQuart: t => t * t * t * t,
-            easeOutQuart: t => 1 - (--t) * t * t * t,
-            easeInOutQuart: t => t < 0.5 ? 8 * t * t * t * t : 1 - 8 * (--t) * t * t * t,
-            easeInQuint: t => t * t * t * t * t,
-            easeOutQuint: t => 1 + (--t) * t * t * t * t,
-            easeInOutQuint: t => t <.5 ? 16 * t * t * t * t * t : 1 + 16 * (--t) * t * t * t * t,
-            // Add some spring physics options
-            easeOutBack: t => {
-                const c1 = 1.70158;
-                const c3 = c1 + 1;
-                return 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
-            },
-            easeOutElastic: t => {
-                const c4 = (2 * Math.PI) / 3;
-                return t === 0 ? 0 : t === 1 ? 1 : Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * c4) + 1;
-            }
+            touchMomentum: options.touchMomentum ?? false,
+            touchMultiplier: options.touchMultiplier ?? 1,
+            rubberBand: options.rubberBand ?? true,
+            respectReducedMotion: options.respectReducedMotion ?? true,
+            axis: ['x', 'y', 'both'].includes(options.axis) ? options.axis : 'y',
+            interruptible: options.interruptible ?? true,
+            snap: options.snap ?? null,
+            snapType: options.snapType ?? 'mandatory',
+            snapProximity: options.snapProximity ?? null,
+            snapDelay: options.snapDelay ?? 150,
+            snapDuration: options.snapDuration ?? 600,
+            snapEasing: options.snapEasing ?? 'easeOutCubic',
+            anchors: options.anchors ?? false,
+            anchorOffset: options.anchorOffset ?? null,
+            anchorDuration: options.anchorDuration ?? null,
+            anchorEasing: options.anchorEasing ?? null,
+            anchorHistory: options.anchorHistory ?? 'push',
+            anchorFocus: options.anchorFocus ?? true,
+            keyboard: options.keyboard ?? true,
+            keyboardStep: options.keyboardStep ?? 40,
+            keyboardDuration: options.keyboardDuration ?? 400,
+            keyboardEasing: options.keyboardEasing ?? 'easeOutCubic',
+            followFocus: options.followFocus ?? true,
+            focusMargin: options.focusMargin ?? 40
         };
 
         // Bind methods to this instance
@@ -98,7 +173,18 @@ class Smoothscroller {
         this.handleResize = this.handleResize.bind(this);
         this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
         this.handleScroll = this.handleScroll.bind(this);
+        this.handleWheel = this.handleWheel.bind(this);
+        this.handleTouchStart = this.handleTouchStart.bind(this);
+        this.handleTouchMove = this.handleTouchMove.bind(this);
+        this.handleTouchEnd = this.handleTouchEnd.bind(this);
+        this.handleClick = this.handleClick.bind(this);
+        this.handleViewportScroll = this.handleViewportScroll.bind(this);
+        this.handleFocus = this.handleFocus.bind(this);
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.handleInterrupt = this.handleInterrupt.bind(this);
+        this.handleHashChange = this.handleHashChange.bind(this);
         this.animate = this.animate.bind(this);
+        this.animateFallback = this.animateFallback.bind(this);
     }
 
     /**
@@ -107,13 +193,18 @@ class Smoothscroller {
      * @returns {boolean} Whether smooth scrolling should be used
      */
     _shouldUseSmooth() {
-        // Skip smooth scroll if reduced motion is preferred and we respect that setting
-        if (this.prefersReducedMotion && this.config.respectReducedMotion) {
+        // Nothing is transformed on a static page, printing for instance
+        if (this.environmentMode === 'disabled') {
             return false;
         }
 
-        // Skip smooth scroll on touch devices if configured that way
-        if (this.isTouchDevice && this.config.useNativeForTouch) {
+        // Skip smooth scroll in the reduced mode (reduced motion, data saving) if we respect that setting
+        if (this.environmentMode === 'reduced' && this.config.respectReducedMotion) {
+            return false;
+        }
+
+        // Skip smooth scroll on touch devices if configured that way, unless touch is handled here
+        if (this.isTouchDevice && this.config.useNativeForTouch && !this.config.touchMomentum) {
             return false;
         }
 
@@ -129,15 +220,6 @@ class Smoothscroller {
         return ('ontouchstart' in window) || (navigator.maxTouchPoints > 0);
     }
 
-    /**
-     * Check if the user prefers reduced motion
-     * @private
-     * @returns {boolean} Whether reduced motion is preferred
-     */
-    _prefersReducedMotion() {
-        return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-    }
-
     /**
      * Utility to clamp a value between min and max
      * @private
@@ -164,138 +246,1120 @@ class Smoothscroller {
             this.scrollElement.style.transform = '';
         }
 
-        // We still support the scrollTo API but use native scrolling
-        // Other methods will be no-ops
+        // We still support the scrollTo API but use native scrolling
+        // Other methods will be no-ops
+
+        // scrollTo() animations still stop when the user scrolls
+        this._getScrollTarget().addEventListener('wheel', this.handleInterrupt, { passive: true });
+        this._getScrollTarget().addEventListener('touchstart', this.handleInterrupt, { passive: true });
+        this._getKeyTarget().addEventListener('keydown', this.handleInterrupt);
+    }
+
+    /**
+     * Whether scrollTo() may animate, even when the page scrolls natively
+     * @private
+     * @returns {boolean} False in the disabled mode, and in the reduced one with respectReducedMotion
+     */
+    _allowsMotion() {
+        return this.environmentMode === 'full'
+            || (this.environmentMode === 'reduced' && !this.config.respectReducedMotion);
+    }
+
+    /**
+     * Resolve an element from string selector or direct reference
+     * @private
+     * @param {HTMLElement|string} element - Element or selector
+     * @returns {HTMLElement} The resolved element
+     */
+    _resolveElement(element) {
+        if (typeof element === 'string') {
+            return document.querySelector(element);
+        }
+        return element;
+    }
+
+    /**
+     * Element that receives the scroll events and native scrolling
+     * @private
+     * @returns {Window|HTMLElement} The container, or the window
+     */
+    _getScrollTarget() {
+        return this.container || window;
+    }
+
+    /**
+     * Whether an axis is smoothed
+     * @private
+     * @param {string} axis - 'x' or 'y'
+     * @returns {boolean} Whether the axis is smoothed
+     */
+    _hasAxis(axis) {
+        return this.config.axis === 'both' || this.config.axis === axis;
+    }
+
+    /**
+     * Axis of plain numbers given to scrollTo() and of snap points
+     * @private
+     * @returns {string} 'x' for horizontal scrollers, 'y' otherwise
+     */
+    _mainAxis() {
+        return this.config.axis === 'x' ? 'x' : 'y';
+    }
+
+    /**
+     * Element receiving the keys this scroller handles: the container, or the whole document for the page
+     * @private
+     * @returns {Document|HTMLElement} Key event target
+     */
+    _getKeyTarget() {
+        return this.container || document;
+    }
+
+    /**
+     * Native scroll position of the container or the window
+     * @private
+     * @returns {{x: number, y: number}} Scroll position in pixels
+     */
+    _getNativeScroll() {
+        return this.container
+            ? { x: this.container.scrollLeft, y: this.container.scrollTop }
+            : { x: window.scrollX, y: window.scrollY };
+    }
+
+    /**
+     * Set the native scroll position of the container or the window
+     * @private
+     * @param {{x: number, y: number}} position - Scroll position in pixels
+     */
+    _setNativeScroll({ x, y }) {
+        if (this.container) {
+            this.container.scrollLeft = x;
+            this.container.scrollTop = y;
+        } else {
+            window.scrollTo(x, y);
+        }
+    }
+
+    /**
+     * Visible size of the container or the window
+     * @private
+     * @returns {{width: number, height: number}} Size in pixels
+     */
+    _getViewportSize() {
+        return this.container
+            ? { width: this.container.clientWidth, height: this.container.clientHeight }
+            : { width: window.innerWidth, height: window.innerHeight };
+    }
+
+    /**
+     * Scroll position that puts an element at the top left of the container or the window
+     * @private
+     * @param {HTMLElement} element - Element inside the scrolled content
+     * @param {number|{x: number, y: number}} offset - Offset from the element in pixels
+     * @returns {{x: number, y: number}} Scroll position in pixels
+     */
+    _getElementPosition(element, offset) {
+        const rect = element.getBoundingClientRect();
+        const origin = this.container ? this.container.getBoundingClientRect() : { top: 0, left: 0 };
+        const native = this._getNativeScroll();
+        const offsets = typeof offset === 'number' ? { x: offset, y: offset } : { x: offset.x ?? 0, y: offset.y ?? 0 };
+
+        // Rects follow the rendered content, which is at the smoothed position while running
+        const scrollX = this.isRunning && this._hasAxis('x') ? this.currentScrollX : native.x;
+        const scrollY = this.isRunning && this._hasAxis('y') ? this.currentScroll : native.y;
+
+        return {
+            x: rect.left - origin.left + scrollX - offsets.x,
+            y: rect.top - origin.top + scrollY - offsets.y
+        };
+    }
+
+    /**
+     * Turn a scrollTo() target into a scroll position; axes that are not smoothed keep their position
+     * @private
+     * @param {(number|{x: number, y: number}|HTMLElement|string)} target - Target given to scrollTo()
+     * @param {Object} options - Options given to scrollTo()
+     * @returns {{x: number, y: number}|null} Scroll position, or null when the target is invalid
+     */
+    _resolveTarget(target, options) {
+        const current = this._getNativeScroll();
+
+        if (typeof target === 'number') {
+            return { ...current, [this._mainAxis()]: target };
+        }
+
+        if (target && typeof target === 'object' && !(target instanceof HTMLElement)
+            && (typeof target.x === 'number' || typeof target.y === 'number')) {
+            return { x: target.x ?? current.x, y: target.y ?? current.y };
+        }
+
+        const element = typeof target === 'string' ? (this.container || document).querySelector(target) : target;
+        if (typeof target === 'string' && !element) {
+            this._error(`Element not found: ${target}`);
+            return null;
+        }
+        if (!(element instanceof HTMLElement)) {
+            this._error('Invalid target for scrollTo', target);
+            return null;
+        }
+
+        const position = this._getElementPosition(element, options.offset ?? this.config.autoScrollOffset);
+        return {
+            x: this._hasAxis('x') ? position.x : current.x,
+            y: this._hasAxis('y') ? position.y : current.y
+        };
+    }
+
+    /**
+     * Debug logging utility
+     * @private
+     * @param {string} message - Message to log
+     * @param {*} [data] - Optional data to log
+     */
+    _log(message, data) {
+        if (this.config.debug) {
+            if (data !== undefined) {
+                console.log(`SmoothScroller: ${message}`, data);
+            } else {
+                console.log(`SmoothScroller: ${message}`);
+            }
+        }
+    }
+
+    /**
+     * Report an event through the core event bus
+     * @private
+     * @param {string} event - Event name
+     * @param {Object} [data] - Event payload, the instance is added to it
+     */
+    _emit(event, data = {}) {
+        this.core.emit(event, { instance: this, ...data });
+    }
+
+    /**
+     * Log an error and report it through the core event bus
+     * @private
+     * @param {string} message - Error description
+     * @param {*} [data] - Related data
+     */
+    _error(message, data) {
+        this._log(message, data);
+        this._emit('error', { message, data });
+    }
+
+    /**
+     * Sets up the DOM structure for smooth scrolling
+     * @returns {number} The content height
+     */
+    setupScrollStructure() {
+        if (!this.scrollElement) {
+            this._log('No scroll element found - abort setup');
+            return 0;
+        }
+
+        // Calculate total size of content
+        const contentHeight = this.scrollElement.scrollHeight;
+        this.contentHeight = contentHeight;
+        this.contentWidth = this.scrollElement.scrollWidth;
+
+        this._setupStructure();
+
+        if (!this.container) {
+            // Keep body scrollable
+            document.body.style.overflow = 'auto';
+            document.body.style.margin = '0';
+            document.body.style.padding = '0';
+        }
+
+        this._log(`Content height set to ${contentHeight}px`);
+        this._emit('refresh', { height: contentHeight });
+
+        return contentHeight;
+    }
+
+    /**
+     * Size of the wrapper: the content size on smoothed axes, the viewport size on the others
+     * @private
+     * @returns {{width: string, height: string}} CSS sizes
+     */
+    _getWrapperSize() {
+        const viewport = this._getViewportSize();
+        return {
+            width: this._hasAxis('x') ? `${this.contentWidth}px` : '100%',
+            height: `${this._hasAxis('y') ? this.contentHeight : viewport.height}px`
+        };
+    }
+
+    /**
+     * Wrap the content in a viewport with overflow hidden, inside a wrapper of the content size that keeps the page or
+     * the container natively scrollable. On the page the viewport is fixed; fixed positioning would escape a container,
+     * so there it is sticky and stays in the corner of the container while the wrapper scrolls.
+     * @private
+     */
+    _setupStructure() {
+        if (!this.wrapperElement) {
+            this.wrapperElement = document.createElement('div');
+            this.wrapperElement.className = 'smooth-scroll-wrapper';
+            this.wrapperElement.style.cssText = `
+                position: relative;
+                width: 100%;
+                pointer-events: none;
+            `;
+            if (!this.container) {
+                // The id is kept for stylesheets written for the single page wrapper
+                this.wrapperElement.id = 'smooth-scroll-wrapper';
+            }
+
+            this.viewportElement = document.createElement('div');
+            this.viewportElement.className = 'smooth-scroll-viewport';
+            this.viewportElement.style.cssText = `
+                position: ${this.container ? 'sticky' : 'fixed'};
+                top: 0;
+                left: 0;
+                overflow: hidden;
+                z-index: 1;
+                pointer-events: auto;
+            `;
+            this.viewportElement.addEventListener('scroll', this.handleViewportScroll, { passive: true });
+
+            // Move the scroll element to the viewport
+            this.scrollElement.parentNode.insertBefore(this.wrapperElement, this.scrollElement);
+            this.wrapperElement.appendChild(this.viewportElement);
+            this.viewportElement.appendChild(this.scrollElement);
+        }
+
+        const viewport = this._getViewportSize();
+        Object.assign(this.wrapperElement.style, this._getWrapperSize());
+        this.viewportElement.style.width = this.container && this._hasAxis('x') ? `${viewport.width}px` : '100%';
+        this.viewportElement.style.height = this.container ? `${viewport.height}px` : '100%';
+
+        // Content laid out at its own width when it scrolls sideways, at the viewport width otherwise
+        Object.assign(this.scrollElement.style, this._hasAxis('x')
+            ? { width: 'max-content', minWidth: '100%' }
+            : { width: '100%' });
+        this.scrollElement.style.willChange = 'transform';
+    }
+
+    /**
+     * The browser scrolls the viewport itself to show a find-in-page match or a focused element; that offset is
+     * moved to the page or container scroll position, where it becomes a smooth scroll
+     * @private
+     */
+    handleViewportScroll() {
+        const viewport = this.viewportElement;
+        if (!viewport) return;
+
+        const offset = { x: viewport.scrollLeft, y: viewport.scrollTop };
+        if (!offset.x && !offset.y) return;
+
+        viewport.scrollLeft = 0;
+        viewport.scrollTop = 0;
+
+        // A scrollTo() started by handleFocus() already goes there
+        if (this.isAnimating) return;
+
+        const native = this._getNativeScroll();
+        const limit = this.getScrollLimit();
+        this._setNativeScroll({
+            x: this._hasAxis('x') ? this._clamp(this.currentScrollX + offset.x, 0, limit.x) : native.x,
+            y: this._hasAxis('y') ? this._clamp(this.currentScroll + offset.y, 0, limit.y) : native.y
+        });
+    }
+
+    /**
+     * Scroll the focused element into view, the browser cannot reach it in the transformed content
+     * @private
+     * @param {FocusEvent} event - focusin event
+     */
+    handleFocus(event) {
+        const element = event.target;
+        if (this.paused || !this.isRunning || this.focusingAnchor) return;
+        if (element === this.scrollElement || !this.scrollElement.contains(element)) return;
+
+        const rect = element.getBoundingClientRect();
+        const size = this._getViewportSize();
+        const origin = this.container ? this.container.getBoundingClientRect() : { top: 0, left: 0 };
+        const margin = this.config.focusMargin;
+
+        // Smallest move that shows the element, its start edge wins when it does not fit
+        const distance = (start, end, viewportStart, viewportSize) => {
+            if (start < viewportStart + margin) return start - viewportStart - margin;
+            if (end > viewportStart + viewportSize - margin) {
+                return Math.min(end - (viewportStart + viewportSize - margin), start - viewportStart - margin);
+            }
+            return 0;
+        };
+        const dx = this._hasAxis('x') ? distance(rect.left, rect.right, origin.left, size.width) : 0;
+        const dy = this._hasAxis('y') ? distance(rect.top, rect.bottom, origin.top, size.height) : 0;
+        if (Math.abs(dx) < 1 && Math.abs(dy) < 1) return;
+
+        const limit = this.getScrollLimit();
+        this.scrollTo({
+            x: this._clamp(this.currentScrollX + dx, 0, limit.x),
+            y: this._clamp(this.currentScroll + dy, 0, limit.y)
+        }, {
+            duration: this.config.keyboardDuration,
+            easing: this.config.keyboardEasing,
+            immediate: true
+        });
+    }
+
+    /**
+     * Scroll with the keyboard through scrollTo(), so keys get the easing instead of the native jump
+     * @private
+     * @param {KeyboardEvent} event - keydown event
+     */
+    handleKeydown(event) {
+        if (this.paused || !this.isRunning || event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) return;
+
+        // The page handles keys pressed in its content or with nothing focused, a container only those inside it
+        const target = event.target;
+        const inContent = this.scrollElement.contains(target);
+        const unfocused = target === document.body || target === document.documentElement;
+        if (!inContent && (this.container || !unfocused)) return;
+
+        // Keys belong to fields and widgets, Space also activates buttons and links
+        const widgets = 'input, textarea, select, [contenteditable], [role="slider"], [role="listbox"], [role="grid"], '
+            + '[role="tablist"], [role="menu"], [role="tree"]';
+        const buttons = 'a[href], button, summary, [role="button"], [role="checkbox"], [role="switch"]';
+        if (!unfocused && (target.isContentEditable || target.closest(widgets))) return;
+        if (!unfocused && event.key === ' ' && target.closest(buttons)) return;
+
+        const size = this._getViewportSize();
+        const limit = this.getScrollLimit();
+        const step = this.config.keyboardStep;
+        const main = this._mainAxis();
+        const page = (main === 'x' ? size.width : size.height) - step;
+
+        const moves = {
+            ArrowDown: ['y', step],
+            ArrowUp: ['y', -step],
+            ArrowRight: ['x', step],
+            ArrowLeft: ['x', -step],
+            PageDown: [main, page],
+            PageUp: [main, -page],
+            ' ': [main, event.shiftKey ? -page : page],
+            Home: [main, -Infinity],
+            End: [main, Infinity]
+        };
+        const move = moves[event.key];
+        if (!move || !this._hasAxis(move[0]) || (event.shiftKey && event.key !== ' ')) return;
+
+        // Repeated keys add up from where the running key scroll is going
+        const [axis, delta] = move;
+        const from = this.isAnimating && this.currentAnimation
+            ? { ...this.currentAnimation.targetPosition }
+            : { x: this.targetScrollX, y: this.targetScroll };
+        const position = { ...this._getNativeScroll(), ...from };
+        position[axis] = this._clamp(position[axis] + delta, 0, limit[axis]);
+
+        event.preventDefault();
+        this.scrollTo(position, {
+            duration: this.config.keyboardDuration,
+            easing: this.config.keyboardEasing,
+            immediate: true
+        });
+    }
+
+    /**
+     * Handle scroll events
+     * @private
+     */
+    handleScroll() {
+        if (!this.isAnimating) {
+            const native = this._getNativeScroll();
+            if (this.config.model === 'inertia') {
+                this._trackInput(native);
+            }
+            if (this._hasAxis('y')) this.targetScroll = native.y;
+            if (this._hasAxis('x')) this.targetScrollX = native.x;
+            this._scheduleSnap();
+        }
+    }
+
+    /**
+     * Scroll horizontal scrollers sideways with the vertical wheel, mice only have that one
+     * @private
+     * @param {WheelEvent} event - Wheel event
+     */
+    handleWheel(event) {
+        // Pinch zoom, or a gesture that already scrolls sideways
+        if (event.ctrlKey || Math.abs(event.deltaY) <= Math.abs(event.deltaX)) return;
+
+        const lineHeight = 16;
+        const delta = event.deltaMode === 1 ? event.deltaY * lineHeight
+            : event.deltaMode === 2 ? event.deltaY * this._getViewportSize().width
+            : event.deltaY;
+        const native = this._getNativeScroll();
+        const x = this._clamp(native.x + delta, 0, this.getScrollLimit().x);
+
+        // At either edge the wheel goes back to the page
+        if (x !== native.x) {
+            event.preventDefault();
+            this._setNativeScroll({ x, y: native.y });
+        }
+    }
+
+    /**
+     * Catch the content under the finger, stopping a glide where it is
+     * @private
+     * @param {TouchEvent} event - touchstart event
+     */
+    handleTouchStart(event) {
+        // A second finger pinches, leave it to the browser
+        if (event.touches.length > 1) {
+            this.touch = null;
+            return;
+        }
+        if (this.paused || !this.isRunning) return;
+        if (this.currentAnimation && !this.currentAnimation.interruptible) return;
+
+        const point = event.changedTouches[0];
+        this.core.clock.clearTimeout(this.snapTimer);
+        this.touchGlide = false;
+        this.inputVelocity = { x: 0, y: 0 };
+        this.overscrollVelocity = { x: 0, y: 0 };
+        this.touch = {
+            id: point.identifier,
+            startX: point.clientX,
+            startY: point.clientY,
+            origin: null,
+            samples: []
+        };
+    }
+
+    /**
+     * Drag the content with the finger along the smoothed axes, stretching past the edges
+     * @private
+     * @param {TouchEvent} event - touchmove event
+     */
+    handleTouchMove(event) {
+        const touch = this.touch;
+        const point = touch && Array.from(event.changedTouches).find(item => item.identifier === touch.id);
+        if (!point) return;
+
+        // The content moves against the finger
+        let deltaX = touch.startX - point.clientX;
+        let deltaY = touch.startY - point.clientY;
+        const size = this._getViewportSize();
+
+        if (!touch.origin) {
+            // Wait until the gesture has a direction
+            if (Math.hypot(deltaX, deltaY) < 6) return;
+
+            // Across the smoothed axis, the browser scrolls natively
+            const across = Math.abs(deltaX) > Math.abs(deltaY) ? 'x' : 'y';
+            if (this.config.axis !== 'both' && !this._hasAxis(across)) {
+                this.touch = null;
+                return;
+            }
+
+            // Start from where the content is on screen, rubber band included
+            touch.startX = point.clientX;
+            touch.startY = point.clientY;
+            touch.origin = {
+                x: this.currentScrollX + this._unstretch(this.overscroll.x, size.width),
+                y: this.currentScroll + this._unstretch(this.overscroll.y, size.height)
+            };
+            deltaX = 0;
+            deltaY = 0;
+        }
+
+        event.preventDefault();
+
+        const limit = this.getScrollLimit();
+        const position = { x: touch.origin.x + deltaX, y: touch.origin.y + deltaY };
+        const next = this._getNativeScroll();
+
+        ['x', 'y'].forEach(axis => {
+            if (!this._hasAxis(axis)) return;
+
+            const clamped = this._clamp(position[axis], 0, limit[axis]);
+            const dimension = axis === 'x' ? size.width : size.height;
+            this.overscroll[axis] = this.config.rubberBand ? this._stretch(position[axis] - clamped, dimension) : 0;
+            this[axis === 'x' ? 'targetScrollX' : 'targetScroll'] = clamped;
+            next[axis] = clamped;
+        });
+
+        const now = this.core.clock.now();
+        touch.samples.push({ time: now, ...position });
+        touch.samples = touch.samples.filter(sample => now - sample.time <= 100);
+        this._setNativeScroll(next);
+    }
+
+    /**
+     * Let go of the content, gliding with the speed of the last 100ms of the gesture
+     * @private
+     * @param {TouchEvent} event - touchend or touchcancel event
+     */
+    handleTouchEnd(event) {
+        const touch = this.touch;
+        if (!touch || !Array.from(event.changedTouches).some(item => item.identifier === touch.id)) return;
+
+        this.touch = null;
+        this.inputVelocity = { x: 0, y: 0 };
+        if (!touch.origin) return;
+
+        this._scheduleSnap();
+        if (event.type === 'touchcancel') return;
+
+        // A finger resting before it lifts does not throw the content
+        const now = this.core.clock.now();
+        const samples = touch.samples.filter(sample => now - sample.time <= 100);
+        if (samples.length < 2 || now - samples[samples.length - 1].time > 50) return;
+
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        const elapsed = last.time - first.time;
+        if (elapsed <= 0) return;
+
+        ['x', 'y'].forEach(axis => {
+            // Released past an edge, the rubber band pulls it back instead
+            if (!this._hasAxis(axis) || this.overscroll[axis] !== 0) return;
+            this.inputVelocity[axis] = (last[axis] - first[axis]) / elapsed * 1000 * this.config.touchMultiplier;
+        });
+        this.touchGlide = true;
+    }
+
+    /**
+     * Resistance of the rubber band, the further past the edge the harder it pulls
+     * @private
+     * @param {number} distance - Distance dragged past the edge in pixels
+     * @param {number} dimension - Size of the viewport along the axis
+     * @returns {number} Distance rendered past the edge
+     */
+    _stretch(distance, dimension) {
+        if (!distance || !dimension) return 0;
+        return Math.sign(distance) * (1 - 1 / (Math.abs(distance) * 0.55 / dimension + 1)) * dimension;
+    }
+
+    /**
+     * Distance to drag past the edge for a rendered rubber band, the inverse of _stretch()
+     * @private
+     * @param {number} offset - Distance rendered past the edge
+     * @param {number} dimension - Size of the viewport along the axis
+     * @returns {number} Distance dragged past the edge in pixels
+     */
+    _unstretch(offset, dimension) {
+        if (!offset || !dimension) return 0;
+        const ratio = Math.min(Math.abs(offset) / dimension, 0.99);
+        return Math.sign(offset) * (1 / (1 - ratio) - 1) * dimension / 0.55;
+    }
+
+    /**
+     * Snap once the user stopped scrolling for snapDelay
+     * @private
+     */
+    _scheduleSnap() {
+        // A finger on the content is still scrolling, handleTouchEnd() schedules again
+        if (!this.config.snap || this.paused || this.touch) return;
+
+        this.core.clock.clearTimeout(this.snapTimer);
+        this.snapTimer = this.core.clock.setTimeout(() => {
+            this.snapTimer = null;
+            this.snap();
+        }, this.config.snapDelay);
+    }
+
+    /**
+     * Scroll positions of the snap points, in the order they were given
+     * @returns {number[]} Positions in pixels, within the scrollable range
+     */
+    getSnapPoints() {
+        const { snap } = this.config;
+        if (!snap) return [];
+
+        const axis = this._mainAxis();
+        const limit = this.getScrollLimit()[axis];
+        const clamp = position => this._clamp(position, 0, limit);
+
+        if (Array.isArray(snap) && snap.every(point => typeof point === 'number')) {
+            return snap.map(clamp);
+        }
+
+        const root = this.container || document;
+        const elements = typeof snap === 'string' ? Array.from(root.querySelectorAll(snap)) : Array.from(snap);
+
+        return elements.map(element => clamp(this._getElementPosition(element, this.config.autoScrollOffset)[axis]));
+    }
+
+    /**
+     * Snap to the closest snap point now, through scrollTo()
+     * @returns {Promise<boolean>} Resolves with true once snapped, false if there was nothing to snap to
+     */
+    snap() {
+        this.core.clock.clearTimeout(this.snapTimer);
+        this.snapTimer = null;
+
+        const points = this.getSnapPoints();
+        if (points.length === 0 || this.isAnimating) {
+            return Promise.resolve(false);
+        }
+
+        const horizontal = this._mainAxis() === 'x';
+        const current = horizontal ? this.targetScrollX : this.targetScroll;
+        const viewport = this._getViewportSize();
+
+        let index = -1;
+        let distance = Infinity;
+        points.forEach((point, i) => {
+            const pointDistance = Math.abs(point - current);
+            if (pointDistance < distance) {
+                distance = pointDistance;
+                index = i;
+            }
+        });
+
+        const proximity = this.config.snapProximity ?? (horizontal ? viewport.width : viewport.height) * 0.3;
+        if (this.config.snapType === 'proximity' && distance > proximity) {
+            return Promise.resolve(false);
+        }
+
+        const position = points[index];
+        const snapped = () => {
+            this.snapIndex = index;
+            this._emit('snap', { index, position });
+            this._log(`Snapped to point ${index} at ${position}px`);
+            return true;
+        };
+
+        if (distance < 1) {
+            return Promise.resolve(snapped());
+        }
+
+        return this.scrollTo(position, {
+            duration: this.config.snapDuration,
+            easing: this.config.snapEasing
+        }).then(status => status === 'completed' ? snapped() : false);
+    }
+
+    /**
+     * Element a hash points to, when it is part of this scroller's content
+     * @private
+     * @param {string} hash - Hash including '#'
+     * @returns {HTMLElement|null} The target, document.documentElement for the top of the page, or null
+     */
+    _getHashTarget(hash) {
+        let id = hash.replace(/^#/, '');
+        try {
+            id = decodeURIComponent(id);
+        } catch (error) {
+            // Keep the raw id
+        }
+
+        const element = id && (document.getElementById(id) || document.getElementsByName(id)[0]);
+        if (element) {
+            return this.scrollElement.contains(element) ? element : null;
+        }
+
+        // '#' and '#top' go to the top of the page, like they do natively
+        return !this.container && (hash === '#' || id.toLowerCase() === 'top') ? document.documentElement : null;
+    }
+
+    /**
+     * Focus an anchor target without scrolling, making it focusable for the moment if needed
+     * @private
+     * @param {HTMLElement} element - Anchor target
+     */
+    _focusTarget(element) {
+        if (!this.config.anchorFocus || element === document.documentElement || typeof element.focus !== 'function') return;
+
+        const focusable = 'a[href], area[href], button, input, select, textarea, summary, [tabindex], [contenteditable]';
+        if (!element.matches(focusable)) {
+            element.setAttribute('tabindex', '-1');
+            element.addEventListener('blur', () => element.removeAttribute('tabindex'), { once: true });
+        }
+
+        // The target was just scrolled to with the anchor offset, handleFocus() must not correct it
+        this.focusingAnchor = true;
+        element.focus({ preventScroll: true });
+        this.focusingAnchor = false;
+    }
+
+    /**
+     * Scroll to the target of a hash with the anchor options, then focus it
+     * @param {string} hash - Hash including '#'
+     * @returns {Promise<boolean>} Resolves with true once scrolled, false if the hash has no target in the content
+     */
+    scrollToHash(hash) {
+        const element = this._getHashTarget(hash);
+        if (!element) {
+            return Promise.resolve(false);
+        }
+
+        this._emit('anchor', { hash, element });
+
+        return this.scrollTo(element === document.documentElement ? 0 : element, {
+            offset: this.config.anchorOffset,
+            duration: this.config.anchorDuration,
+            easing: this.config.anchorEasing
+        }).then(status => {
+            if (status === 'completed') {
+                this._focusTarget(element);
+            }
+            return status === 'completed';
+        });
+    }
+
+    /**
+     * Route clicks on same-page anchors through scrollToHash()
+     * @private
+     * @param {MouseEvent} event - Click event
+     */
+    handleClick(event) {
+        // Modified clicks open new tabs or windows
+        if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+
+        const link = event.target.closest && event.target.closest('a[href]');
+        if (!link || link.hasAttribute('download') || (link.target && link.target !== '_self')) return;
+
+        const { location } = window;
+        if (link.origin !== location.origin || link.pathname !== location.pathname || link.search !== location.search) return;
+
+        // link.hash is empty for href="#"
+        const hash = link.hash || (link.getAttribute('href').endsWith('#') ? '#' : '');
+        if (!hash || !this._getHashTarget(hash)) return;
+
+        event.preventDefault();
+
+        // Changing the URL through the History API does not jump like setting location.hash does
+        if (this.config.anchorHistory && hash !== location.hash) {
+            const method = this.config.anchorHistory === 'replace' ? 'replaceState' : 'pushState';
+            window.history[method](window.history.state, '', hash);
+        }
+        this.lastHash = location.hash;
+
+        this.scrollToHash(hash);
+    }
+
+    /**
+     * Follow hash changes made outside of anchor clicks: typed URLs, back and forward
+     * @private
+     */
+    handleHashChange() {
+        // Back and forward may fire both popstate and hashchange
+        const hash = window.location.hash;
+        if (hash === this.lastHash) return;
+
+        this.lastHash = hash;
+        this.scrollToHash(hash);
+    }
+
+    /**
+     * Land on the hash of the URL right away when the page is loaded with one
+     * @private
+     */
+    _jumpToInitialHash() {
+        this.lastHash = window.location.hash;
+
+        const element = this.lastHash && this._getHashTarget(this.lastHash);
+        if (!element || element === document.documentElement) return;
+
+        const position = this._resolveTarget(element, { offset: this.config.anchorOffset });
+        this._setNativeScroll(position);
+        if (this._hasAxis('x')) this.currentScrollX = this.targetScrollX = position.x;
+        if (this._hasAxis('y')) this.currentScroll = this.targetScroll = position.y;
+        this._render();
+
+        this._log(`Landed on ${this.lastHash}`);
+    }
+
+    /**
+     * Maximum scroll position of the content measured by setupScrollStructure(), read by the core scroll driver
+     * @returns {{x: number, y: number}} The scroll limit
+     */
+    getScrollLimit() {
+        if (!this.wrapperElement) {
+            // Native scrolling, nothing measured
+            return this.container
+                ? {
+                    x: Math.max(this.container.scrollWidth - this.container.clientWidth, 0),
+                    y: Math.max(this.container.scrollHeight - this.container.clientHeight, 0)
+                }
+                : this.core.scroll.getLimit();
+        }
+
+        const viewport = this._getViewportSize();
+        return {
+            x: this._hasAxis('x') ? Math.max(this.contentWidth - viewport.width, 0) : 0,
+            y: this._hasAxis('y') ? Math.max(this.contentHeight - viewport.height, 0) : 0
+        };
+    }
+
+    /**
+     * Current rendered scroll position, read by the core scroll driver
+     * @returns {{x: number, y: number}} The smoothed scroll position
+     */
+    getScrollPosition() {
+        return { x: this.currentScrollX, y: this.currentScroll };
+    }
+
+    /**
+     * Main animation function for smooth scrolling, called by the core ticker
+     * @param {number} currentTime - Frame timestamp in ms
+     */
+    updateScroll(currentTime) {
+        if (!this.isRunning) return;
+
+        const deltaTime = this._clamp((currentTime - this.lastTime) / 16.67, 0, this.config.maxDeltaTime);
+        const seconds = deltaTime * 16.67 / 1000;
+        this.lastTime = currentTime;
+
+        const previousX = this.currentScrollX;
+        const previousY = this.currentScroll;
+
+        // If we're currently running a custom animation, let it control the scroll
+        if (this.isAnimating && this.currentAnimation) {
+            this.springVelocity = { x: 0, y: 0 };
+            this.inputVelocity = { x: 0, y: 0 };
+            this.touchGlide = false;
+            this.animate();
+        } else {
+            if (this.config.model === 'inertia' || this.touchGlide) {
+                this._glide(deltaTime, seconds);
+            }
+
+            // Normal smooth scrolling behavior
+            this.currentScroll = this._step('y', this.currentScroll, this.targetScroll, deltaTime, seconds);
+            this.currentScrollX = this._step('x', this.currentScrollX, this.targetScrollX, deltaTime, seconds);
+        }
+
+        this._bounce(seconds);
+        this._render();
+        this._measure(this.currentScrollX - previousX, this.currentScroll - previousY, seconds);
+    }
+
+    /**
+     * Move one axis of the content for this frame with the configured model
+     * @private
+     * @param {string} axis - 'x' or 'y'
+     * @param {number} current - Rendered position
+     * @param {number} target - Target position
+     * @param {number} deltaTime - Frame time relative to 60fps
+     * @param {number} seconds - Frame time in seconds
+     * @returns {number} The new rendered position
+     */
+    _step(axis, current, target, deltaTime, seconds) {
+        // Touch moves the content directly, like native scrolling
+        if ((this.touch && this.touch.origin) || this.touchGlide) {
+            this.springVelocity[axis] = 0;
+            return target;
+        }
+
+        if (this.config.model !== 'spring') {
+            return this._approach(current, target, deltaTime);
+        }
+
+        const { mass, stiffness, minMovement } = this.config;
+        const damping = this.config.damping ?? 2 * Math.sqrt(stiffness * mass);
+        let position = current;
+        let velocity = this.springVelocity[axis];
+
+        // Sub-steps keep the integration stable on long frames
+        const steps = Math.max(Math.ceil(seconds * 120), 1);
+        const step = seconds / steps;
+        for (let i = 0; i < steps; i++) {
+            velocity += (stiffness * (target - position) - damping * velocity) / mass * step;
+            position += velocity * step;
+        }
+
+        if (Math.abs(target - position) < minMovement && Math.abs(velocity) < minMovement * 10) {
+            this.springVelocity[axis] = 0;
+            return target;
+        }
+
+        this.springVelocity[axis] = velocity;
+        return position;
+    }
+
+    /**
+     * Record the speed of the user's scrolling, which inertia keeps going once it stops
+     * @private
+     * @param {{x: number, y: number}} native - Native scroll position
+     */
+    _trackInput(native) {
+        // Scroll events of the glide itself are not input
+        const glide = this.glideTarget;
+        if (glide && Math.abs(native.x - glide.x) < 1 && Math.abs(native.y - glide.y) < 1) return;
+        this.glideTarget = null;
+
+        const now = this.core.clock.now();
+        const elapsed = now - this.lastInput.time;
+        ['x', 'y'].forEach(axis => {
+            // Input after a pause starts from rest
+            const velocity = elapsed > 0 && elapsed < 100 ? (native[axis] - this.lastInput[axis]) / elapsed * 1000 : 0;
+            this.inputVelocity[axis] = this.inputVelocity[axis] * 0.2 + velocity * 0.8;
+        });
+        this.lastInput = { time: now, ...native };
+    }
+
+    /**
+     * Keep the scroll moving with the input velocity once the input stopped, slowed down by friction
+     * @private
+     * @param {number} deltaTime - Frame time relative to 60fps
+     * @param {number} seconds - Frame time in seconds
+     */
+    _glide(deltaTime, seconds) {
+        // Still receiving input, a touch glide starts as soon as the finger lifts
+        if (this.touch || (!this.touchGlide && this.core.clock.now() - this.lastInput.time < 50)) return;
+
+        const limit = this.getScrollLimit();
+        const decay = Math.pow(this.config.friction, deltaTime / this.config.mass);
+        const next = this._getNativeScroll();
+        let moved = false;
+
+        ['x', 'y'].forEach(axis => {
+            if (!this._hasAxis(axis) || Math.abs(this.inputVelocity[axis]) < 10) {
+                this.inputVelocity[axis] = 0;
+                return;
+            }
+
+            const key = axis === 'x' ? 'targetScrollX' : 'targetScroll';
+            const position = this._clamp(this[key] + this.inputVelocity[axis] * seconds, 0, limit[axis]);
+            const stopped = position === 0 || position === limit[axis];
+            if (stopped && this.touchGlide && this.config.rubberBand) {
+                // The speed left carries into the rubber band
+                this.overscrollVelocity[axis] = this.inputVelocity[axis];
+            }
+            this.inputVelocity[axis] = stopped ? 0 : this.inputVelocity[axis] * decay;
+
+            this[key] = position;
+            next[axis] = position;
+            moved = true;
+        });
+
+        if (moved) {
+            this.glideTarget = next;
+            this._setNativeScroll(next);
+        }
+        if (!this.inputVelocity.x && !this.inputVelocity.y) {
+            this.touchGlide = false;
+        }
     }
 
     /**
-     * Resolve an element from string selector or direct reference
+     * Spring the rubber band back to the edge once the finger let go
      * @private
-     * @param {HTMLElement|string} element - Element or selector
-     * @returns {HTMLElement} The resolved element
+     * @param {number} seconds - Frame time in seconds
      */
-    _resolveElement(element) {
-        if (typeof element === 'string') {
-            return document.querySelector(element);
-        }
-        return element;
+    _bounce(seconds) {
+        if (this.touch && this.touch.origin) return;
+
+        const stiffness = 300;
+        const damping = 2 * Math.sqrt(stiffness);
+        const { minMovement } = this.config;
+        const steps = Math.max(Math.ceil(seconds * 120), 1);
+        const step = seconds / steps;
+
+        ['x', 'y'].forEach(axis => {
+            let position = this.overscroll[axis];
+            let velocity = this.overscrollVelocity[axis];
+            if (position === 0 && velocity === 0) return;
+
+            for (let i = 0; i < steps; i++) {
+                velocity += (-stiffness * position - damping * velocity) * step;
+                position += velocity * step;
+            }
+
+            if (Math.abs(position) < minMovement && Math.abs(velocity) < minMovement * 10) {
+                position = 0;
+                velocity = 0;
+            }
+            this.overscroll[axis] = position;
+            this.overscrollVelocity[axis] = velocity;
+        });
     }
 
     /**
-     * Debug logging utility
+     * Update the velocity and direction from this frame's movement and report it
      * @private
-     * @param {string} message - Message to log
-     * @param {*} [data] - Optional data to log
+     * @param {number} deltaX - Horizontal movement in pixels
+     * @param {number} deltaY - Vertical movement in pixels
+     * @param {number} seconds - Frame time in seconds
      */
-    _log(message, data) {
-        if (this.config.debug) {
-            if (data !== undefined) {
-                console.log(`SmoothScroller: ${message}`, data);
-            } else {
-                console.log(`SmoothScroller: ${message}`);
+    _measure(deltaX, deltaY, seconds) {
+        const wasMoving = this.velocity.x !== 0 || this.velocity.y !== 0;
+        this.velocity = seconds > 0 ? { x: deltaX / seconds, y: deltaY / seconds } : { x: 0, y: 0 };
+
+        const delta = this._mainAxis() === 'x' ? deltaX : deltaY;
+        if (delta !== 0) {
+            this.direction = delta > 0 ? 1 : -1;
+        }
+
+        // Also report the frame the content stops on, with a velocity of 0
+        if ((deltaX !== 0 || deltaY !== 0 || wasMoving) && typeof this.config.onUpdate === 'function') {
+            try {
+                this.config.onUpdate(this);
+            } catch (error) {
+                this._error('onUpdate failed', error);
             }
         }
     }
 
     /**
-     * Sets up the DOM structure for smooth scrolling
-     * @returns {number} The content height
+     * Speed of the rendered content along the main axis
+     * @returns {number} Velocity in px/s, positive when scrolling down or right
      */
-    setupScrollStructure() {
-        if (!this.scrollElement) {
-            this._log('No scroll element found - abort setup');
-            return 0;
-        }
-
-        // Calculate total height of content
-        const contentHeight = this.scrollElement.scrollHeight;
-
-        // Create a wrapper for the fixed element if needed
-        if (!document.getElementById('smooth-scroll-wrapper')) {
-            this.wrapperElement = document.createElement('div');
-            this.wrapperElement.id = 'smooth-scroll-wrapper';
-            this.wrapperElement.style.cssText = `
-                height: ${contentHeight}px;
-                position: relative;
-                width: 100%;
-                pointer-events: none;
-            `;
-
-            // Move the scroll element to the wrapper
-            this.scrollElement.parentNode.insertBefore(this.wrapperElement, this.scrollElement);
-            this.wrapperElement.appendChild(this.scrollElement);
-        } else {
-            // Just update height if wrapper exists
-            this.wrapperElement = document.getElementById('smooth-scroll-wrapper');
-            this.wrapperElement.style.height = contentHeight + 'px';
-        }
-
-        // Fix the scroll element position
-        this.scrollElement.style.cssText = `
-            position: fixed;
-            top: 0;
-            left: 0;
-            width: 100%;
-            z-index: 1;
-            pointer-events: auto;
-            will-change: transform;
-        `;
-
-        // Add an aria attribute for accessibility
-        this.scrollElement.setAttribute('aria-live', 'polite');
-
-        // Keep body scrollable
-        document.body.style.overflow = 'auto';
-        document.body.style.margin = '0';
-        document.body.style.padding = '0';
+    getVelocity() {
+        return this._mainAxis() === 'x' ? this.velocity.x : this.velocity.y;
+    }
 
-        this._log(`Content height set to ${contentHeight}px`);
+    /**
+     * Direction of the last movement along the main axis
+     * @returns {number} 1 down or right, -1 up or left, 0 before any movement
+     */
+    getDirection() {
+        return this.direction;
+    }
 
-        return contentHeight;
+    /**
+     * State of the content for this frame, in the shape of the core scroll state
+     * @returns {{x: number, y: number, targetX: number, targetY: number, velocityX: number, velocity: number,
+     *          direction: number, model: string, isAnimating: boolean}}
+     */
+    getState() {
+        return {
+            x: this.currentScrollX,
+            y: this.currentScroll,
+            targetX: this.targetScrollX,
+            targetY: this.targetScroll,
+            velocityX: this.velocity.x,
+            velocity: this.velocity.y,
+            direction: this.direction,
+            model: this.config.model,
+            isAnimating: this.isAnimating
+        };
     }
 
     /**
-     * Handle scroll events
+     * Move the content to the rendered scroll position
      * @private
      */
-    handleScroll() {
-        if (!this.isAnimating) {
-            this.targetScroll = window.scrollY;
-        }
+    _render() {
+        // Apply the transform with hardware acceleration, the rubber band on top of the scroll position
+        const x = this.currentScrollX + this.overscroll.x;
+        const y = this.currentScroll + this.overscroll.y;
+        this.scrollElement.style.transform = `translate3d(${-x}px, ${-y}px, 0)`;
     }
 
     /**
-     * Main animation function for smooth scrolling
+     * Move a scroll position one frame closer to its target
+     * @private
+     * @param {number} current - Rendered position
+     * @param {number} target - Target position
+     * @param {number} deltaTime - Frame time relative to 60fps
+     * @returns {number} The new rendered position
      */
-    updateScroll() {
-        if (!this.isRunning) return;
-
-        const currentTime = performance.now();
-        const deltaTime = Math.min((currentTime - this.lastTime) / 16.67, this.config.maxDeltaTime);
-        this.lastTime = currentTime;
+    _approach(current, target, deltaTime) {
+        const distance = target - current;
 
-        // If we're currently running a custom animation, let it control the scroll
-        if (this.isAnimating && this.currentAnimation) {
-            this.animate();
-        } else {
-            // Normal smooth scrolling behavior
-            const distance = this.targetScroll - this.currentScroll;
-            const absDistance = Math.abs(distance);
-
-            // Only update if we need to move
-            if (absDistance < this.config.minMovement) {
-                this.currentScroll = this.targetScroll;
-            } else {
-                // Calculate smooth movement
-                this.currentScroll += distance * (1 - this.config.smoothness) * deltaTime;
-            }
+        // Only update if we need to move
+        if (Math.abs(distance) < this.config.minMovement) {
+            return target;
         }
 
-        // Apply the transform with hardware acceleration
-        this.scrollElement.style.transform = `translate3d(0, -${this.currentScroll}px, 0)`;
-
-        // Continue animation
-        this.animationFrameId = requestAnimationFrame(this.updateScroll);
+        // Calculate smooth movement
+        return current + distance * (1 - this.config.smoothness) * deltaTime;
     }
 
     /**
@@ -305,41 +1369,197 @@ class Smoothscroller {
         const animation = this.currentAnimation;
         if (!animation) return;
 
-        const now = performance.now();
+        const now = this.core.clock.now();
         const elapsed = now - animation.startTime;
-        const progress = Math.min(elapsed / animation.duration, 1);
+        // A zero duration jumps on the first frame
+        const progress = animation.duration > 0 ? Math.min(elapsed / animation.duration, 1) : 1;
 
         // Apply easing
-        const easingFunction = this.easings[animation.easing] || this.easings.easeInOutCubic;
-        const easedProgress = easingFunction(progress);
+        const easedProgress = animation.ease(progress);
 
         // Calculate new scroll position
-        this.currentScroll = animation.startPosition + (animation.targetPosition - animation.startPosition) * easedProgress;
+        const { startPosition: from, targetPosition: to } = animation;
+        const x = from.x + (to.x - from.x) * easedProgress;
+        const y = from.y + (to.y - from.y) * easedProgress;
+        if (this._hasAxis('x')) this.currentScrollX = x;
+        if (this._hasAxis('y')) this.currentScroll = y;
 
         // Update browser's scroll position to match
         if (progress < 1) {
-            window.scrollTo(0, this.currentScroll);
+            this._setNativeScroll({ x, y });
         } else {
             // Animation complete
-            window.scrollTo(0, animation.targetPosition);
-            this.currentScroll = animation.targetPosition;
-            this.targetScroll = animation.targetPosition;
+            this._setNativeScroll(to);
+            if (this._hasAxis('x')) this.currentScrollX = this.targetScrollX = to.x;
+            if (this._hasAxis('y')) this.currentScroll = this.targetScroll = to.y;
             this.isAnimating = false;
             this.currentAnimation = null;
 
+            this._settle(animation, 'completed');
+            this._startNext();
+
+            this._log("Animation complete");
+        }
+    }
+
+    /**
+     * Frame callback easing the native scroll in fallback mode, removed once no animation is left
+     */
+    animateFallback() {
+        if (this.wrapperElement || !this.currentAnimation) {
+            this.removeFallbackTick();
+            this.removeFallbackTick = null;
+            return;
+        }
+
+        this.animate();
+    }
+
+    /**
+     * Start the next queued animation, if any
+     * @private
+     */
+    _startNext() {
+        if (this.animations.length > 0) {
+            this.startAnimation(this.animations.shift());
+        }
+    }
+
+    /**
+     * Stop the current animation where it got to
+     * @private
+     */
+    _stopAnimation() {
+        this.isAnimating = false;
+        this.currentAnimation = null;
+
+        if (this._hasAxis('x')) this.targetScrollX = this.currentScrollX;
+        if (this._hasAxis('y')) this.targetScroll = this.currentScroll;
+    }
+
+    /**
+     * Report the end of an animation and resolve its promise
+     * @private
+     * @param {Object} animation - Finished animation
+     * @param {string} status - 'completed', 'cancelled' or 'interrupted'
+     */
+    _settle(animation, status) {
+        if (animation.removeAbort) {
+            animation.removeAbort();
+        }
+
+        const destination = { position: animation.targetPosition[this._mainAxis()], ...animation.targetPosition };
+        if (status === 'completed') {
+            this._emit('scrollto:complete', destination);
+
             // Call onComplete callback if provided
             if (typeof animation.onComplete === 'function') {
                 animation.onComplete();
             }
+        } else {
+            this._emit('scrollto:cancel', { ...destination, status });
+        }
 
-            // Process next animation in queue if any
-            if (this.animations.length > 0) {
-                const nextAnimation = this.animations.shift();
-                this.startAnimation(nextAnimation);
-            }
+        animation.resolve(status);
+    }
 
-            this._log("Animation complete");
+    /**
+     * Cancel one animation, running or queued
+     * @private
+     * @param {Object} animation - Animation to cancel
+     * @param {string} status - Status its promise resolves with
+     */
+    _cancel(animation, status) {
+        if (animation === this.currentAnimation) {
+            this._stopAnimation();
+            this._settle(animation, status);
+            this._startNext();
+            return;
+        }
+
+        const index = this.animations.indexOf(animation);
+        if (index !== -1) {
+            this.animations.splice(index, 1);
+            this._settle(animation, status);
+        }
+    }
+
+    /**
+     * Cancel the running animation with a status and every queued one
+     * @private
+     * @param {string} status - Status of the running animation, queued ones are 'cancelled'
+     * @returns {number} Number of animations cancelled
+     */
+    _cancelAll(status) {
+        const current = this.currentAnimation;
+        const queued = this.animations;
+        this.animations = [];
+
+        if (current) {
+            this._stopAnimation();
+            this._settle(current, status);
+        }
+        queued.forEach(animation => this._settle(animation, 'cancelled'));
+
+        return queued.length + (current ? 1 : 0);
+    }
+
+    /**
+     * Cancel the running and queued scrollTo() animations, the content stays where it got to
+     * @returns {number} Number of animations cancelled
+     */
+    cancelAll() {
+        return this._cancelAll('cancelled');
+    }
+
+    /**
+     * The running animation and the queued ones
+     * @returns {Object[]} Entries with to (main axis), target ({x, y}), easing, duration and state ('running' or 'queued')
+     */
+    getQueue() {
+        const entries = this.animations.map(animation => this._describe(animation, 'queued'));
+        if (this.currentAnimation) {
+            entries.unshift(this._describe(this.currentAnimation, 'running'));
+        }
+        return entries;
+    }
+
+    /**
+     * Public description of an animation
+     * @private
+     * @param {Object} animation - Animation
+     * @param {string} state - 'running' or 'queued'
+     * @returns {Object} The description
+     */
+    _describe(animation, state) {
+        return {
+            to: animation.targetPosition[this._mainAxis()],
+            target: { ...animation.targetPosition },
+            easing: animation.easing,
+            duration: animation.duration,
+            state
+        };
+    }
+
+    /**
+     * Let the user take over from an interruptible animation with the wheel, touch or the scroll keys
+     * @private
+     * @param {Event} event - wheel, touchstart or keydown event
+     */
+    handleInterrupt(event) {
+        const animation = this.currentAnimation;
+        if (!animation || !animation.interruptible) return;
+
+        if (event.type === 'keydown') {
+            // Keys handled by handleKeydown() replace the animation themselves, fields keep their keys
+            const keys = ['ArrowDown', 'ArrowUp', 'ArrowRight', 'ArrowLeft', 'PageDown', 'PageUp', ' ', 'Home', 'End'];
+            const target = event.target;
+            if (event.defaultPrevented || !keys.includes(event.key)) return;
+            if (target.isContentEditable || (target.closest && target.closest('input, textarea, select'))) return;
         }
+
+        this._log(`Animation interrupted by ${event.type}`);
+        this._cancelAll('interrupted');
     }
 
     /**
@@ -348,77 +1568,85 @@ class Smoothscroller {
      */
     startAnimation(animation) {
         this.currentAnimation = animation;
-        this.currentAnimation.startTime = performance.now();
-        this.currentAnimation.startPosition = window.scrollY;
+        this.currentAnimation.startTime = this.core.clock.now();
+        this.currentAnimation.startPosition = this._getNativeScroll();
         this.isAnimating = true;
 
-        this._log(`Starting animation to ${animation.targetPosition}px with ${animation.easing} easing`);
+        // Without the smooth structure nothing calls animate(), so ease the native scroll from here
+        if (!this.wrapperElement && !this.removeFallbackTick) {
+            this.removeFallbackTick = this.core.ticker.add(this.animateFallback, Ticker.PRIORITY.SOURCE);
+        }
+
+        const axis = this._mainAxis();
+        this._log(`Starting animation to ${animation.targetPosition.x}, ${animation.targetPosition.y} with ${animation.easing} easing`);
+        this._emit('scrollto:start', {
+            from: animation.startPosition[axis],
+            to: animation.targetPosition[axis],
+            ...animation.targetPosition
+        });
     }
 
     /**
      * Scroll to a specific position or element with animation
-     * @param {(number|HTMLElement|string)} target - Target position in pixels or element to scroll to
+     * @param {(number|{x: number, y: number}|HTMLElement|string)} target - Position in pixels on the main axis ('x' for
+     *        horizontal scrollers, 'y' otherwise), position on either axis, or element to align on every smoothed axis
      * @param {Object} options - Animation options
      * @param {number} [options.duration] - Duration of scroll animation in ms
-     * @param {string} [options.easing] - Easing function name
-     * @param {number} [options.offset] - Offset from the element in pixels
-     * @param {boolean} [options.immediate=false] - Whether to cancel current openAnimations
+     * @param {string|Function} [options.easing] - Easing name, expression like 'cubic-bezier(.2, 0, 0, 1)', or function
+     * @param {number|{x: number, y: number}} [options.offset] - Offset from the element in pixels
+     * @param {boolean} [options.immediate=false] - Cancel the running and queued animations instead of queueing
+     * @param {boolean} [options.interruptible] - Stop when the user scrolls, the interruptible option by default
+     * @param {AbortSignal} [options.signal] - Cancels the animation, running or queued, when aborted
      * @param {Function} [options.onComplete] - Callback when animation completes
-     * @returns {Promise} A promise that resolves when the animation completes
+     * @returns {Promise<string>} Always resolves: 'completed', 'cancelled' (also for invalid targets) or 'interrupted'
      */
     scrollTo(target, options = {}) {
-        // If we're in fallback mode, use native scrolling
-        if (!this._shouldUseSmooth()) {
+        // In fallback mode the same animations ease the native scroll; without motion the browser jumps
+        if (!this._shouldUseSmooth() && !this._allowsMotion()) {
             return this._nativeScrollTo(target, options);
         }
 
         return new Promise((resolve) => {
-            let targetPosition;
-
             // Determine the target position based on what was passed
-            if (typeof target === 'number') {
-                targetPosition = target;
-            } else if (target instanceof HTMLElement) {
-                const rect = target.getBoundingClientRect();
-                targetPosition = window.scrollY + rect.top - (options.offset ?? this.config.autoScrollOffset);
-            } else if (typeof target === 'string') {
-                const element = document.querySelector(target);
-                if (element) {
-                    const rect = element.getBoundingClientRect();
-                    targetPosition = window.scrollY + rect.top - (options.offset ?? this.config.autoScrollOffset);
-                } else {
-                    this._log(`Element not found: ${target}`);
-                    resolve(false);
-                    return;
-                }
-            } else {
-                this._log('Invalid target for scrollTo', target);
-                resolve(false);
+            const targetPosition = this._resolveTarget(target, options);
+            if (!targetPosition || (options.signal && options.signal.aborted)) {
+                resolve('cancelled');
                 return;
             }
 
+            // Resolve the easing once, an unknown one falls back to the default curve
+            const easing = options.easing ?? this.config.scrollToEasing;
+            let ease = Easings.get(easing);
+            if (!ease) {
+                this._log(`Unknown easing ${easing}, using easeInOutCubic`);
+                ease = Easings.get('easeInOutCubic');
+            }
+
             // Create animation object
             const animation = {
                 targetPosition,
-                startPosition: window.scrollY,
+                startPosition: this._getNativeScroll(),
                 startTime: null, // Will be set when animation starts
                 duration: options.duration ?? this.config.scrollToDuration,
-                easing: options.easing ?? this.config.scrollToEasing,
-                onComplete: () => {
-                    if (typeof options.onComplete === 'function') {
-                        options.onComplete();
-                    }
-                    resolve(true);
-                }
+                easing,
+                ease,
+                interruptible: options.interruptible ?? this.config.interruptible,
+                onComplete: options.onComplete,
+                resolve,
+                removeAbort: null
             };
 
+            if (options.signal) {
+                const abort = () => this._cancel(animation, 'cancelled');
+                options.signal.addEventListener('abort', abort, { once: true });
+                animation.removeAbort = () => options.signal.removeEventListener('abort', abort);
+            }
+
             // Add to queue or start immediately
             if (this.isAnimating) {
                 if (options.immediate) {
                     // Clear current openAnimations and start this one immediately
-                    this.animations = [];
-                    this.isAnimating = false;
-                    this.currentAnimation = null;
+                    this._cancelAll('cancelled');
                     this.startAnimation(animation);
                 } else {
                     // Queue the animation
@@ -432,65 +1660,112 @@ class Smoothscroller {
     }
 
     /**
-     * Fallback for native scrolling when smooth is disabled
+     * Jump with native scrolling when motion is not allowed, settling once the browser is done
      * @private
-     * @param {(number|HTMLElement|string)} target - Target to scroll to
-     * @param {Object} options - Scroll options
-     * @returns {Promise} A promise that resolves when scrolling is complete
+     * @param {(number|{x: number, y: number}|HTMLElement|string)} target - Target to scroll to
+     * @param {Object} options - Scroll options, see scrollTo()
+     * @returns {Promise<string>} Resolves with 'completed' when the scroll came to rest, 'cancelled' when aborted
      */
     _nativeScrollTo(target, options = {}) {
         return new Promise((resolve) => {
-            let targetPosition;
-
             // Determine the target position
-            if (typeof target === 'number') {
-                targetPosition = target;
-            } else if (target instanceof HTMLElement) {
-                targetPosition = target.getBoundingClientRect().top + window.scrollY - (options.offset ?? this.config.autoScrollOffset);
-            } else if (typeof target === 'string') {
-                const element = document.querySelector(target);
-                if (element) {
-                    targetPosition = element.getBoundingClientRect().top + window.scrollY - (options.offset ?? this.config.autoScrollOffset);
-                } else {
-                    this._log(`Element not found: ${target}`);
-                    resolve(false);
-                    return;
-                }
-            } else {
-                this._log('Invalid target for scrollTo', target);
-                resolve(false);
+            const targetPosition = this._resolveTarget(target, options);
+            if (!targetPosition || (options.signal && options.signal.aborted)) {
+                resolve('cancelled');
                 return;
             }
+            const axis = this._mainAxis();
+            const destination = { position: targetPosition[axis], ...targetPosition };
+            let stopWatching = null;
+
+            const finish = (status) => {
+                stopWatching();
+                if (options.signal) {
+                    options.signal.removeEventListener('abort', abort);
+                }
 
-            // Use native smooth scrolling if available and not reduced motion
-            const behavior = (!this.prefersReducedMotion && this.config.respectReducedMotion) ? 'smooth' : 'auto';
+                if (status === 'completed') {
+                    this._emit('scrollto:complete', destination);
+                    if (typeof options.onComplete === 'function') {
+                        options.onComplete();
+                    }
+                } else {
+                    this._emit('scrollto:cancel', { ...destination, status });
+                }
+                resolve(status);
+            };
+
+            // The browser stops a native scroll where it is; the promise settles right away
+            const abort = () => finish('cancelled');
+            if (options.signal) {
+                options.signal.addEventListener('abort', abort, { once: true });
+            }
 
-            window.scrollTo({
-                top: targetPosition,
-                behavior
+            this._emit('scrollto:start', { from: this._getNativeScroll()[axis], to: targetPosition[axis], ...targetPosition });
+            stopWatching = this._watchScrollEnd(() => finish('completed'));
+            this._getScrollTarget().scrollTo({
+                left: targetPosition.x,
+                top: targetPosition.y,
+                behavior: 'auto'
             });
+        });
+    }
 
-            // Since we can't reliably detect when native scroll completes, we use a timeout
-            setTimeout(() => {
-                if (typeof options.onComplete === 'function') {
-                    options.onComplete();
-                }
-                resolve(true);
-            }, behavior === 'smooth' ? 500 : 100);
+    /**
+     * Call back once the native scroll comes to rest, on scrollend where the browser has it and otherwise when
+     * the position stays the same for 3 frames. Even an 'auto' scroll can be animated by scroll-behavior in the CSS,
+     * and scrollend never fires when the position does not change, so both are watched.
+     * @private
+     * @param {Function} callback - Called once
+     * @returns {Function} Call to stop watching
+     */
+    _watchScrollEnd(callback) {
+        const target = this._getScrollTarget();
+        let last = this._getNativeScroll();
+        let stillFrames = 0;
+        let removeTick = null;
+
+        const stop = () => {
+            target.removeEventListener('scrollend', done);
+            if (removeTick) {
+                removeTick();
+                removeTick = null;
+            }
+        };
+        const done = () => {
+            stop();
+            callback();
+        };
+
+        target.addEventListener('scrollend', done);
+        removeTick = this.core.ticker.add(() => {
+            const position = this._getNativeScroll();
+            stillFrames = position.x === last.x && position.y === last.y ? stillFrames + 1 : 0;
+            last = position;
+
+            if (stillFrames >= 3) {
+                done();
+            }
         });
+
+        return stop;
     }
 
     /**
      * Handle window resize events
      */
     handleResize() {
-        this.setupScrollStructure();
+        this._emit('resize');
+        this.refresh();
     }
 
     /**
      * Handle visibility change events
      */
     handleVisibilityChange() {
+        // Stay frozen until resume() when paused on purpose
+        if (this.paused) return;
+
         if (document.visibilityState === 'visible') {
             // Resume animation and reset timing
             this.start();
@@ -507,13 +1782,21 @@ class Smoothscroller {
         if (this.isRunning || !this._shouldUseSmooth()) return;
 
         this.isRunning = true;
-        this.lastTime = performance.now();
-        this.currentScroll = window.scrollY;
-        this.targetScroll = window.scrollY;
-
-        if (this.animationFrameId === null) {
-            this.animationFrameId = requestAnimationFrame(this.updateScroll);
-        }
+        this.lastTime = this.core.clock.now();
+        const native = this._getNativeScroll();
+        this.currentScroll = this.targetScroll = this._hasAxis('y') ? native.y : 0;
+        this.currentScrollX = this.targetScrollX = this._hasAxis('x') ? native.x : 0;
+        this.velocity = { x: 0, y: 0 };
+        this.springVelocity = { x: 0, y: 0 };
+        this.inputVelocity = { x: 0, y: 0 };
+        this.touch = null;
+        this.touchGlide = false;
+        this.overscroll = { x: 0, y: 0 };
+        this.overscrollVelocity = { x: 0, y: 0 };
+        this._render();
+
+        // Run before the scroll driver so every plugin sees this frame's position
+        this.removeTick = this.core.ticker.add(this.updateScroll, Ticker.PRIORITY.SOURCE);
 
         this._log("Smooth scrolling started");
     }
@@ -524,14 +1807,79 @@ class Smoothscroller {
     stop() {
         this.isRunning = false;
 
-        if (this.animationFrameId !== null) {
-            cancelAnimationFrame(this.animationFrameId);
-            this.animationFrameId = null;
+        if (this.removeTick) {
+            this.removeTick();
+            this.removeTick = null;
         }
 
         this._log("Smooth scrolling stopped");
     }
 
+    /**
+     * Freeze the content where it is, keeping the DOM structure and state
+     */
+    pause() {
+        if (this.paused) return;
+
+        this.paused = true;
+        this.core.clock.clearTimeout(this.snapTimer);
+        this.stop();
+    }
+
+    /**
+     * Continue smooth scrolling after pause()
+     */
+    resume() {
+        if (!this.paused) return;
+
+        this.paused = false;
+        this.start();
+    }
+
+    /**
+     * Check if the scroller was paused with pause()
+     * @returns {boolean} Whether the scroller is paused
+     */
+    isPaused() {
+        return this.paused;
+    }
+
+    /**
+     * Snapshot of the scroller state for debugging tools
+     * @returns {Object} The current state
+     */
+    getDebugInfo() {
+        return {
+            mode: this._shouldUseSmooth() ? 'smooth' : 'native',
+            isRunning: this.isRunning,
+            isPaused: this.paused,
+            container: this.container ? 'element' : 'window',
+            environment: this.environmentMode,
+            axis: this.config.axis,
+            model: this.config.model,
+            velocity: this.getVelocity(),
+            currentScroll: this.currentScroll,
+            targetScroll: this.targetScroll,
+            currentScrollX: this.currentScrollX,
+            targetScrollX: this.targetScrollX,
+            scrollLimit: this.getScrollLimit()[this._mainAxis()],
+            overscroll: { ...this.overscroll },
+            snapIndex: this.snapIndex,
+            isAnimating: this.isAnimating,
+            currentAnimation: this.currentAnimation ? this._describe(this.currentAnimation, 'running') : null,
+            queue: this.animations.map(animation => this._describe(animation, 'queued'))
+        };
+    }
+
+    /**
+     * Measure the content again and update the scroll height
+     */
+    refresh() {
+        if (!this._shouldUseSmooth() || !this.wrapperElement) return;
+
+        this.setupScrollStructure();
+    }
+
     /**
      * Update configuration options
      * @param {Object} options - New configuration options
@@ -540,20 +1888,60 @@ class Smoothscroller {
         Object.assign(this.config, options);
 
         // Check if we need to switch between smooth and native
-        const shouldUseSmooth = this._shouldUseSmooth();
+        this._syncSmooth();
+
+        this._log("Configuration updated", this.config);
+    }
+
+    /**
+     * Follow the environment, called by the core: 'full' smooths, 'disabled' scrolls natively and so does
+     * 'reduced' unless respectReducedMotion is off. Running scrollTo() animations are cancelled by a switch.
+     * @param {string} mode - 'full', 'reduced' or 'disabled'
+     */
+    setMode(mode) {
+        if (mode === this.environmentMode) return;
+
+        this.environmentMode = mode;
+        this._syncSmooth();
+
+        // Animations eased on the native scroll stop when motion is no longer wanted
+        if (!this._allowsMotion()) {
+            this._cancelAll('cancelled');
+        }
+
+        this._log(`Environment mode ${mode}`);
+    }
+
+    /**
+     * Set up or tear down the smooth structure when _shouldUseSmooth() changed, keeping pause() as it was
+     * @private
+     */
+    _syncSmooth() {
+        const smooth = this._shouldUseSmooth();
+        const { paused } = this;
 
-        if (shouldUseSmooth && !this.isRunning) {
+        if (smooth && !this.wrapperElement) {
             this.init();
-        } else if (!shouldUseSmooth && this.isRunning) {
+            if (paused) {
+                this.stop();
+            }
+        } else if (!smooth && this.wrapperElement) {
+            // The native scroll takes over from the position on screen
+            const native = this._getNativeScroll();
+            const position = {
+                x: this._hasAxis('x') ? this.currentScrollX : native.x,
+                y: this._hasAxis('y') ? this.currentScroll : native.y
+            };
             this.destroy();
             this._setupFallback();
+            this._setNativeScroll(position);
         }
 
-        this._log("Configuration updated", this.config);
+        this.paused = paused;
     }
 
     /**
-     * Add a new easing function
+     * Add a new easing function, shared with tweens and every other plugin through Easings
      * @param {string} name - Name of the easing function
      * @param {Function} fn - Easing function taking progress (0-1) and returning eased value
      */
@@ -563,7 +1951,7 @@ class Smoothscroller {
             return;
         }
 
-        this.easings[name] = fn;
+        Easings.register(name, fn);
         this._log(`Added easing function: ${name}`);
     }
 
@@ -571,12 +1959,33 @@ class Smoothscroller {
      * Clean up event listeners and animation
      */
     destroy() {
-        // Stop animation
+        // Stop animation, pending scrollTo() promises settle
         this.stop();
+        this._cancelAll('cancelled');
+        if (this.removeFallbackTick) {
+            this.removeFallbackTick();
+            this.removeFallbackTick = null;
+        }
+        this.paused = false;
+        this.core.clock.clearTimeout(this.snapTimer);
+
+        // Plugins go back to the native scroll position
+        this.core.scroll.clearProvider(this);
 
         // Remove event listeners
         window.removeEventListener('resize', this.handleResize);
-        window.removeEventListener('scroll', this.handleScroll);
+        this._getScrollTarget().removeEventListener('scroll', this.handleScroll);
+        this._getScrollTarget().removeEventListener('wheel', this.handleWheel);
+        document.removeEventListener('click', this.handleClick);
+        this._getKeyTarget().removeEventListener('keydown', this.handleKeydown);
+        this._getScrollTarget().removeEventListener('wheel', this.handleInterrupt);
+        this._getScrollTarget().removeEventListener('touchstart', this.handleInterrupt);
+        this._getKeyTarget().removeEventListener('keydown', this.handleInterrupt);
+        if (this.scrollElement) {
+            this.scrollElement.removeEventListener('focusin', this.handleFocus);
+        }
+        window.removeEventListener('hashchange', this.handleHashChange);
+        window.removeEventListener('popstate', this.handleHashChange);
         document.removeEventListener('visibilitychange', this.handleVisibilityChange);
 
         // Remove ResizeObserver if supported
@@ -590,6 +1999,15 @@ class Smoothscroller {
             this.wrapperElement.parentNode.insertBefore(this.scrollElement, this.wrapperElement);
             this.wrapperElement.parentNode.removeChild(this.wrapperElement);
         }
+        if (this.viewportElement) {
+            this.viewportElement.removeEventListener('scroll', this.handleViewportScroll);
+            this.viewportElement.removeEventListener('touchstart', this.handleTouchStart);
+            this.viewportElement.removeEventListener('touchmove', this.handleTouchMove);
+            this.viewportElement.removeEventListener('touchend', this.handleTouchEnd);
+            this.viewportElement.removeEventListener('touchcancel', this.handleTouchEnd);
+        }
+        this.wrapperElement = null;
+        this.viewportElement = null;
 
         // Reset element styles
         if (this.scrollElement) {
@@ -597,10 +2015,10 @@ class Smoothscroller {
             this.scrollElement.style.top = '';
             this.scrollElement.style.left = '';
             this.scrollElement.style.width = '';
+            this.scrollElement.style.minWidth = '';
             this.scrollElement.style.zIndex = '';
             this.scrollElement.style.transform = '';
             this.scrollElement.style.willChange = '';
-            this.scrollElement.removeAttribute('aria-live');
         }
 
         this._log("Smooth scrolling destroyed and cleaned up");
@@ -611,29 +2029,73 @@ class Smoothscroller {
      */
     init() {
         if (!this.scrollElement) {
-            this._log("No scroll element found. Initialization aborted.");
+            this._error("No scroll element found. Initialization aborted.");
             return;
         }
 
         // Set up DOM structure
         this.setupScrollStructure();
 
+        // Every plugin of the core follows the smoothed page position from now on;
+        // containers scroll independently of the page, so they keep to themselves
+        if (!this.container) {
+            this.core.scroll.setProvider(this);
+        }
+
         // Add event listeners
         window.addEventListener('resize', this.handleResize, { passive: true });
-        window.addEventListener('scroll', this.handleScroll, { passive: true });
+        this._getScrollTarget().addEventListener('scroll', this.handleScroll, { passive: true });
+        if (this.config.axis === 'x') {
+            // Not passive, the vertical scroll it replaces is prevented
+            this._getScrollTarget().addEventListener('wheel', this.handleWheel, { passive: false });
+        }
         document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        if (this.config.touchMomentum) {
+            // Not passive, moves along the smoothed axes are prevented
+            this.viewportElement.addEventListener('touchstart', this.handleTouchStart, { passive: true });
+            this.viewportElement.addEventListener('touchmove', this.handleTouchMove, { passive: false });
+            this.viewportElement.addEventListener('touchend', this.handleTouchEnd);
+            this.viewportElement.addEventListener('touchcancel', this.handleTouchEnd);
+        }
 
         // Use ResizeObserver if supported for more efficient resize handling
         if (typeof ResizeObserver !== 'undefined') {
             this.resizeObserver = new ResizeObserver(this.handleResize);
             this.resizeObserver.observe(this.scrollElement);
+            if (this.container) {
+                this.resizeObserver.observe(this.container);
+            }
+        }
+
+        if (this.config.keyboard) {
+            this._getKeyTarget().addEventListener('keydown', this.handleKeydown);
+        }
+        if (this.config.followFocus) {
+            this.scrollElement.addEventListener('focusin', this.handleFocus);
+        }
+
+        // After the keyboard listener, so keys it handles are not taken as interruptions
+        this._getScrollTarget().addEventListener('wheel', this.handleInterrupt, { passive: true });
+        this._getScrollTarget().addEventListener('touchstart', this.handleInterrupt, { passive: true });
+        this._getKeyTarget().addEventListener('keydown', this.handleInterrupt);
+        if (this.config.anchors) {
+            document.addEventListener('click', this.handleClick);
+            window.addEventListener('hashchange', this.handleHashChange);
+            window.addEventListener('popstate', this.handleHashChange);
         }
 
         // Start scrolling
         this.start();
 
+        if (this.config.anchors) {
+            this._jumpToInitialHash();
+        }
+
         this._log("Smooth scroll initialized with these settings:", this.config);
     }
 }
 
-window.SmoothScroller = Smoothscroller;
\ No newline at end of file
+OpenScroll.register('smoothscroller', Smoothscroller, {
+    version: '1.0.0',
+    description: 'Smooth, eased scrolling of the page content or of scroll containers'
+});
\ No newline at end of file